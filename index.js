@@ -1,20 +1,23 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
-const path = require('path');
-const fs = require('fs');
-const os = require('os');
+const { Command, Option } = require('commander');
 const readline = require('readline');
 
-// Authentication file path
-const AUTH_FILE_PATH = path.join(os.homedir(), '.github-branch-cleaner-auth');
-
 const program = new Command();
 
 // Import our modules (will be created next)
 const gitOps = require('./lib/git-operations');
 const githubApi = require('./lib/github-api');
 const branchMatcher = require('./lib/branch-matcher');
+const rateLimiter = require('./lib/rate-limiter');
+const reporter = require('./lib/reporter');
+const interactiveSelect = require('./lib/interactive-select');
+const journal = require('./lib/journal');
+const auth = require('./lib/auth');
+const protection = require('./lib/protected-branches');
+const config = require('./lib/config');
+const duration = require('./lib/duration');
+const concurrency = require('./lib/concurrency');
 
 program
   .name('github-branch-cleaner')
@@ -24,52 +27,135 @@ program
 program
   .option('--merged', 'Delete branches with merged PRs')
   .option('--closed', 'Delete branches with closed PRs')
+  .option('--stale <duration>', 'Also delete branches without a PR whose last commit is older than a duration (e.g. 90d, 6m)')
+  .option('--gone', 'Also delete branches whose upstream branch no longer exists on the remote')
+  .option('--merged-before <date|duration>', 'Only delete branches whose PR merged before a date or longer ago than a duration (e.g. 2024-05-01, 7d)')
+  .option('--closed-before <date|duration>', 'Only delete branches whose PR closed before a date or longer ago than a duration (e.g. 2024-05-01, 7d)')
+  .option('--author <login|@me>', 'Only delete branches whose PR was opened by a user (@me for yourself)')
+  .option('--exclude-label <label>', 'Never delete branches whose PR has a label (repeatable)', collectValues, [])
+  .option('--include-label <label>', 'Only delete branches whose PR has one of these labels (repeatable)', collectValues, [])
+  .option('--base <branch>', 'Only delete branches whose PR targets a base branch')
+  .option('--exclude-drafts', 'Never delete branches whose PR is a draft')
+  .option('--include-diverged', 'Also delete merged branches that have local commits not included in the PR, and gone or stale branches with unpushed work')
+  .option('--remove-worktrees', 'Also remove the clean worktrees of branches that are deleted')
   .option('--dry-run', 'Show what would be deleted without actually deleting')
   .option('--force', 'Skip confirmation prompts')
+  .option('--interactive', 'Choose which branches to delete from a checklist')
+  .option('--remote', 'Also delete the PR head branches on GitHub')
+  .option('--local', 'Detect merged branches from the local git history only (no GitHub access)')
+  .option('--no-cache', 'Do not read or write the on-disk PR cache')
+  .option('--refresh-cache', 'Discard the on-disk PR cache and rebuild it')
   .option('--login', 'Prompt for GitHub token and save it for future use')
-  .action(async (options) => {
+  .option('--whoami', 'Show which token is used, where it was found and its scopes')
+  .option('--host <hostname>', 'GitHub host for --login and --whoami (default: host of the origin remote)')
+  .option('--protect <pattern>', 'Never delete branches matching a glob pattern such as "release/*" (repeatable)', collectValues, [])
+  .option('--sync-protection', 'Also protect branches that have branch protection or rulesets on GitHub')
+  .option('--remote-name <name>', 'Git remote that points to the GitHub repository (default: origin)')
+  .option('--recursive <dir>', 'Clean every git repository found under a directory')
+  .option('--concurrency <n>', `Number of branches whose PRs are resolved at the same time (default: ${concurrency.DEFAULT_CONCURRENCY})`, Number)
+  .option('--verbose', 'Show GitHub API usage and remaining quota at the end of the run')
+  .addOption(new Option('--format <format>', 'Output format (progress messages go to stderr for json and ndjson)')
+    .choices(['human', ...reporter.MACHINE_READABLE_FORMATS])
+    .default('human'))
+  .action(async (options, command) => {
+    // main switches progress messages to stderr when stdout carries JSON
+    const output = { log: console.log };
     try {
       if (options.login) {
-        await handleLogin();
+        await handleLogin(options);
+        return;
+      }
+      if (options.whoami) {
+        await handleWhoami(options);
+        return;
+      }
+      const commandLineValues = getCommandLineValues(options, command);
+      if (options.recursive) {
+        await handleRecursive(options, commandLineValues);
         return;
       }
-      await main(options);
+      await main(options, commandLineValues, output);
+    } catch (error) {
+      if (error instanceof concurrency.CancelledError) {
+        console.error('❌ Operation cancelled');
+        process.exitCode = 130;
+        return;
+      }
+      console.error('Error:', error.message);
+      process.exitCode = 1;
+    } finally {
+      if (options.verbose) {
+        output.log(`\n${rateLimiter.formatUsageSummary()}`);
+      }
+    }
+  });
+
+program
+  .command('config')
+  .description('Show the effective configuration and where each value comes from')
+  .action(async () => {
+    try {
+      await handleConfig();
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('history')
+  .description('List past cleanup sessions recorded in the undo journal')
+  .action(async () => {
+    try {
+      await handleHistory();
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('restore [branches...]')
+  .description('Recreate deleted branches at their recorded commits')
+  .option('--session <id>', 'Restore every branch deleted in a cleanup session')
+  .action(async (branches, options) => {
+    try {
+      await handleRestore(branches, options);
     } catch (error) {
       console.error('Error:', error.message);
-      process.exit(1);
+      process.exitCode = 1;
     }
   });
 
 /**
- * Load GitHub token from auth file
+ * Determine the GitHub host for --login and --whoami: --host, the origin remote's host, or github.com
  */
-function loadGitHubToken() {
-  try {
-    if (fs.existsSync(AUTH_FILE_PATH)) {
-      const authFileContent = fs.readFileSync(AUTH_FILE_PATH, 'utf8');
-      // Simple parsing of GITHUB_TOKEN=value format
-      const lines = authFileContent.split('\n');
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        if (trimmedLine.startsWith('GITHUB_TOKEN=')) {
-          return trimmedLine.substring('GITHUB_TOKEN='.length);
-        }
-      }
+async function getTargetHost(options) {
+  if (options.host) {
+    return options.host.toLowerCase();
+  }
+
+  if (gitOps.isGitRepository()) {
+    try {
+      const { host } = await gitOps.getRepositoryInfo();
+      return host;
+    } catch (error) {
+      // No usable origin remote, fall back to github.com
     }
-  } catch (error) {
-    // Ignore errors reading auth file, will fall through to error below
   }
 
-  return null;
+  return githubApi.DEFAULT_HOST;
 }
 
 /**
  * Handle the --login option
  */
-async function handleLogin() {
-  console.log('🔐 GitHub Authentication Setup\n');
+async function handleLogin(options) {
+  const host = await getTargetHost(options);
+
+  console.log(`🔐 GitHub Authentication Setup (${host})\n`);
   console.log('You need a GitHub Personal Access Token to use this tool.');
-  console.log('Create one at: https://github.com/settings/tokens\n');
+  console.log(`Create one at: https://${host}/settings/tokens\n`);
   console.log('Required scopes:');
   console.log('  - For public repositories: public_repo');
   console.log('  - For private repositories: repo\n');
@@ -92,7 +178,7 @@ async function handleLogin() {
 
     // Validate the token by making a simple API call
     console.log('\n🔍 Validating token...');
-    const github = githubApi.initialize(token);
+    const github = githubApi.initialize(token, host);
 
     try {
       // Test the token by getting user info
@@ -103,11 +189,9 @@ async function handleLogin() {
     }
 
     // Save the token to the auth file
-    const authContent = `# GitHub Personal Access Token for github-branch-cleaner\n# This file was created by running: github-branch-cleaner --login\nGITHUB_TOKEN=${token}\n`;
-
     try {
-      fs.writeFileSync(AUTH_FILE_PATH, authContent, { mode: 0o600 }); // Restrict file permissions
-      console.log(`✅ Token saved to: ${AUTH_FILE_PATH}`);
+      const authFilePath = auth.saveGitHubToken(token, host);
+      console.log(`✅ Token saved to: ${authFilePath}`);
       console.log('\n🎉 Authentication setup complete! You can now use the tool without --login.');
     } catch (error) {
       throw new Error(`Failed to save token: ${error.message}`);
@@ -118,119 +202,841 @@ async function handleLogin() {
   }
 }
 
-async function main(options) {
-  // Validate that at least one option is provided
-  if (!options.merged && !options.closed) {
-    throw new Error('Please specify at least one option: --merged or --closed');
+/**
+ * Handle the --whoami option
+ */
+async function handleWhoami(options) {
+  const host = await getTargetHost(options);
+  const credentials = auth.findGitHubToken(host);
+  if (!credentials) {
+    throw new Error(`No GitHub token found for ${host}. Checked: ${auth.getTokenEnvironmentVariables(host).join(', ')}, gh CLI, git credential helper and ${auth.AUTH_FILE_PATH}`);
   }
 
-  // Validate that we're in a git repository
+  const github = githubApi.initialize(credentials.token, host);
+  let response;
+  try {
+    response = await github.rest.users.getAuthenticated();
+  } catch (error) {
+    throw new Error(`Token from ${credentials.source} is not valid for ${host}: ${error.message}`);
+  }
+
+  const scopes = response.headers['x-oauth-scopes'];
+  console.log(`👤 Authenticated as: ${response.data.login} (${host})`);
+  console.log(`🔑 Token source: ${credentials.source}`);
+  if (scopes === undefined) {
+    console.log('📜 Scopes: not reported (fine-grained or app token; permissions are set per repository)');
+  } else {
+    console.log(`📜 Scopes: ${scopes || '(none)'}`);
+  }
+}
+
+/**
+ * Handle the history command
+ */
+async function handleHistory() {
+  if (!gitOps.isGitRepository()) {
+    throw new Error('This command must be run from within a Git repository');
+  }
+
+  const sessions = journal.groupSessions(await journal.readDeletions());
+  if (sessions.length === 0) {
+    console.log('No cleanup sessions recorded yet');
+    return;
+  }
+
+  console.log('📜 Cleanup sessions (newest first):\n');
+  sessions.forEach(({ id, timestamp, deletions }) => {
+    console.log(`${id}  ${new Date(timestamp).toLocaleString()}  ${deletions.length} branch(es)`);
+    deletions.forEach(({ branch, sha, prNumber }) => {
+      const pr = prNumber ? ` (PR #${prNumber})` : '';
+      console.log(`  - ${branch} at ${sha.slice(0, 12)}${pr}`);
+    });
+  });
+
+  console.log('\nRestore with: github-branch-cleaner restore --session <id> or restore <branch...>');
+}
+
+/**
+ * Handle the restore command
+ */
+async function handleRestore(branches, options) {
   if (!gitOps.isGitRepository()) {
     throw new Error('This command must be run from within a Git repository');
   }
 
-  // Load and validate GitHub token
-  const githubToken = loadGitHubToken();
-  if (!githubToken) {
-    throw new Error('GitHub token is required. Please run "github-branch-cleaner --login" to set up authentication.');
+  if (!options.session && branches.length === 0) {
+    throw new Error('Please specify branches to restore or --session <id> (see: github-branch-cleaner history)');
+  }
+
+  const deletions = await journal.readDeletions();
+  let toRestore;
+
+  if (options.session) {
+    toRestore = deletions.filter(entry => entry.session === options.session);
+    if (toRestore.length === 0) {
+      throw new Error(`No deletions recorded for session ${options.session}`);
+    }
+    if (branches.length > 0) {
+      toRestore = toRestore.filter(entry => branches.includes(entry.branch));
+    }
+  } else {
+    // Restore the most recent deletion of each branch
+    toRestore = branches.map(branch => {
+      const entry = deletions.filter(deletion => deletion.branch === branch).pop();
+      if (!entry) {
+        throw new Error(`No deletion of ${branch} recorded in the journal`);
+      }
+      return entry;
+    });
   }
 
-  console.log('🔍 Analyzing local branches and their GitHub PRs...\n');
+  let restoredCount = 0;
+  for (const entry of toRestore) {
+    try {
+      const result = await journal.restoreDeletion(entry);
+      if (result.restored) {
+        // Journal entries may have recorded a remote without a merge ref, or the other way round
+        const upstream = entry.upstream && entry.upstream.remote && entry.upstream.merge
+          ? ` tracking ${entry.upstream.remote}/${entry.upstream.merge.replace(/^refs\/heads\//, '')}`
+          : '';
+        console.log(`✅ Restored: ${entry.branch} at ${entry.sha.slice(0, 12)}${upstream}`);
+        restoredCount++;
+      } else {
+        console.log(`⚠️  Skipped ${entry.branch}: ${result.reason}`);
+      }
+    } catch (error) {
+      console.log(`❌ Failed to restore ${entry.branch}: ${error.message}`);
+    }
+  }
 
-  // Get repository information
-  const repoInfo = await gitOps.getRepositoryInfo();
-  console.log(`Repository: ${repoInfo.owner}/${repoInfo.name}`);
+  console.log(`\n🎉 Restored ${restoredCount} out of ${toRestore.length} branches`);
+}
+
+/**
+ * Show the effective configuration and the source of each value
+ */
+async function handleConfig() {
+  const levels = await config.loadConfigLevels();
+  const { values, sources } = config.resolveConfig(levels);
+
+  console.log('⚙️  Effective configuration:\n');
+  const rows = Object.entries(values).map(([key, value]) => [
+    key,
+    Array.isArray(value) ? (value.length > 0 ? value.join(', ') : '(none)') : (value === null ? '(none)' : String(value)),
+    sources[key].join(', ')
+  ]);
+  const widths = [0, 1].map(index => Math.max(...rows.map(row => row[index].length)));
+  rows.forEach(([key, value, source]) => {
+    console.log(`  ${key.padEnd(widths[0])}  ${value.padEnd(widths[1])}  [${source}]`);
+  });
+
+  console.log('\n📁 Config files (lowest precedence first):');
+  console.log(`  - user config: ${config.getUserConfigPath()}`);
+  console.log(`  - repository config: ${config.REPO_CONFIG_FILE_NAME} in the repository root`);
+  console.log('  - git config: branchCleaner.<setting> keys (e.g. git config --add branchCleaner.protect "release/*")');
+  console.log('  Command line options override all of them; protect patterns from every level are combined.');
+}
+
+/**
+ * Get the configurable options that were given on the command line
+ */
+function getCommandLineValues(options, command) {
+  const values = {};
+  Object.keys(config.CONFIG_OPTIONS).forEach(key => {
+    if (command.getOptionValueSource(key) === 'cli') {
+      values[key] = options[key];
+    }
+  });
+  return values;
+}
+
+/**
+ * Apply the configuration of the current directory to the options
+ *
+ * Command line values take precedence over the config files and git config.
+ */
+async function resolveOptions(options, commandLineValues) {
+  const { values } = config.resolveConfig(await config.loadConfigLevels(), commandLineValues);
+  return { ...options, ...values };
+}
+
+/**
+ * Collect the values of a repeatable option
+ */
+function collectValues(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Validate the combination of cleanup options
+ */
+function validateCleanupOptions(options) {
+  // Validate that at least one option is provided
+  if (!options.merged && !options.closed && !options.stale && !options.gone) {
+    throw new Error('Please specify at least one option: --merged, --closed, --stale or --gone');
+  }
+
+  if (options.stale) {
+    duration.parseDuration(options.stale);
+  }
+
+  [options.mergedBefore, options.closedBefore].filter(Boolean).forEach(value => duration.parseCutoff(value));
+
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error('--concurrency must be a whole number of at least 1');
+  }
+
+  if (options.local && options.stale) {
+    throw new Error('--stale needs GitHub PR data to know which branches never had a PR and cannot be combined with --local');
+  }
+
+  if (options.local && (options.mergedBefore || options.closedBefore)) {
+    throw new Error('--merged-before and --closed-before need the PR merge and close dates from GitHub and cannot be combined with --local');
+  }
+
+  if (options.local && branchMatcher.hasPullRequestFilters(options)) {
+    throw new Error('--author, --exclude-label, --include-label, --base and --exclude-drafts need GitHub PR data and cannot be combined with --local');
+  }
+
+  if (options.local && options.closed) {
+    throw new Error('--closed needs GitHub PR data and cannot be combined with --local');
+  }
+
+  if (options.local && options.remote) {
+    throw new Error('--remote needs GitHub access and cannot be combined with --local');
+  }
+
+  if (options.local && options.syncProtection) {
+    throw new Error('--sync-protection needs GitHub access and cannot be combined with --local');
+  }
+}
+
+/**
+ * Create a GitHub API client for a host using the first token found
+ */
+function createGitHubClient(host) {
+  const credentials = auth.findGitHubToken(host);
+  if (!credentials) {
+    const hostOption = host === githubApi.DEFAULT_HOST ? '' : ` --host ${host}`;
+    throw new Error(`GitHub token is required for ${host}. Set ${auth.getTokenEnvironmentVariables(host)[0]}, log in with the gh CLI, or run "github-branch-cleaner --login${hostOption}" to set up authentication.`);
+  }
+
+  return githubApi.initialize(credentials.token, host);
+}
+
+/**
+ * Analyze the branches of the repository in the current directory and print their status
+ *
+ * getClient(host) returns the GitHub API client to use for a host. Progress messages are
+ * written with options.log (console.log by default). Returns null when there are no branches
+ * to check.
+ */
+async function analyzeRepository(options, getClient) {
+  const log = options.log || console.log;
+  let github = null;
+  let repoInfo = null;
+  let defaultBranch = null;
+  if (options.local) {
+    log('🔍 Analyzing local branches using the local git history...\n');
+
+    defaultBranch = await branchMatcher.resolveDefaultBranch(null, null, options.remoteName);
+    log(`Default branch: ${defaultBranch.ref}`);
+  } else {
+    log('🔍 Analyzing local branches and their GitHub PRs...\n');
+
+    // Get repository information, looking up PRs in the parent repository for forks
+    const originInfo = await gitOps.getRepositoryInfo(options.remoteName);
+
+    github = getClient(originInfo.host);
+    repoInfo = await branchMatcher.resolvePRRepository(github, originInfo);
+    log(`Repository: ${repoInfo.owner}/${repoInfo.name}`);
+    if (repoInfo.forkSource) {
+      log(`Fork: ${repoInfo.headOwner}/${repoInfo.headName} (parent found via ${repoInfo.forkSource})`);
+    }
+
+    defaultBranch = await branchMatcher.resolveDefaultBranch(github, repoInfo, options.remoteName);
+    if (defaultBranch.name) {
+      log(`Default branch: ${defaultBranch.name}`);
+    }
+
+    if (options.author === '@me') {
+      const login = await githubApi.getAuthenticatedLogin(github);
+      log(`Author filter: @me (${login})`);
+      options = { ...options, author: login };
+    }
+  }
+
+  const protectedPatterns = await protection.resolveProtectedPatterns({
+    patterns: options.protect,
+    defaultBranch: defaultBranch.name,
+    sync: options.syncProtection,
+    octokit: github,
+    repoInfo
+  });
+  options = { ...options, protectedPatterns, defaultBranchName: defaultBranch.name, defaultBranchRef: defaultBranch.ref };
+
+  if (options.gone) {
+    log(`📡 Fetching ${options.remoteName} to find branches whose upstream is gone...`);
+    try {
+      await gitOps.fetchAndPrune(options.remoteName);
+    } catch (error) {
+      console.warn(`⚠️  ${error.message}; using the remote-tracking refs from the last fetch`);
+    }
+  }
 
   // Get all local branches except current branch
   const currentBranch = await gitOps.getCurrentBranch();
   const allBranches = await gitOps.getLocalBranches();
   const branchesToCheck = allBranches.filter(branch =>
     branch !== currentBranch &&
-    !['main', 'master', 'develop', 'dev'].includes(branch)
+    !protection.isProtectedBranch(branch, protectedPatterns)
   );
 
   if (branchesToCheck.length === 0) {
-    console.log('✅ No branches to check (excluding current branch and protected branches)');
-    return;
+    log('✅ No branches to check (excluding current branch and protected branches)');
+    return null;
   }
 
-  console.log(`Current branch: ${currentBranch}`);
-  console.log(`Branches to check: ${branchesToCheck.length}\n`);
+  log(`Current branch: ${currentBranch}`);
+  log(`Protected branches: ${protectedPatterns.join(', ')}`);
+  log(`Branches to check: ${branchesToCheck.length}\n`);
 
-  // Initialize GitHub API
-  const github = githubApi.initialize(githubToken);
+  let result;
+  if (options.local) {
+    result = await branchMatcher.findBranchesToDeleteLocally(
+      branchesToCheck,
+      options,
+      currentBranch,
+      defaultBranch.ref
+    );
+  } else {
+    // Use optimized batch fetching to find branches to delete; Ctrl+C cancels the lookups
+    result = await concurrency.withInterruptSignal(signal => branchMatcher.findBranchesToDelete(
+      github,
+      repoInfo,
+      branchesToCheck,
+      { ...options, signal },
+      currentBranch
+    ));
+  }
+  const { branchesToDelete, branchStatus } = result;
 
-  // Use optimized batch fetching to find branches to delete
-  const { branchesToDelete, branchStatus } = await branchMatcher.findBranchesToDelete(
-    github,
-    repoInfo,
-    branchesToCheck,
-    options,
-    currentBranch
-  );
+  if (options.gone) {
+    await branchMatcher.addGoneBranches(branchStatus, branchesToDelete, options, currentBranch);
+  }
+
+  let staleBranches = [];
+  if (options.stale) {
+    const staleTarget = defaultBranch.ref || await gitOps.getDefaultBranch(options.remoteName);
+    staleBranches = await branchMatcher.findStaleBranches(branchStatus, options, currentBranch, staleTarget);
+  }
+
+  const worktreeBranches = await gitOps.getWorktreeBranches();
+  if (worktreeBranches.size > 0) {
+    await branchMatcher.excludeWorktreeBranches(branchStatus, [branchesToDelete, staleBranches], options, worktreeBranches);
+  }
 
   // Display the status of each branch
-  for (const { branch, status, shouldDelete } of branchStatus) {
+  for (const { branch, status, shouldDelete, diverged, unpushedCommits, keptInWorktree, filteredOut, gracePeriod } of branchStatus) {
     if (shouldDelete) {
-      console.log(`🗑️  ${branch}: ${status}`);
-    } else if (status === 'No PR found') {
-      console.log(`⚠️  ${branch}: ${status}`);
+      log(`🗑️  ${branch}: ${status}`);
+    } else if (filteredOut) {
+      log(`⏭️  ${branch}: ${status} - keeping`);
+    } else if (gracePeriod) {
+      log(`⏳ ${branch}: ${status} - keeping for now`);
+    } else if (keptInWorktree) {
+      log(`⚠️  ${branch}: ${status} - keeping${options.removeWorktrees ? '' : ' (use --remove-worktrees to delete)'}`);
+    } else if (diverged || unpushedCommits !== undefined) {
+      log(`⚠️  ${branch}: ${status} - keeping (use --include-diverged to delete)`);
+    } else if (status.startsWith('No PR found')) {
+      log(`⚠️  ${branch}: ${status}`);
     } else if (status.startsWith('Error:')) {
-      console.log(`❌ ${branch}: ${status}`);
+      log(`❌ ${branch}: ${status}`);
     } else {
-      console.log(`✅ ${branch}: ${status} - keeping`);
+      log(`✅ ${branch}: ${status} - keeping`);
     }
   }
 
-  if (branchesToDelete.length === 0) {
+  return { github, repoInfo, currentBranch, defaultBranch, protectedPatterns, branchesToDelete, staleBranches, branchStatus };
+}
+
+/**
+ * Clean up the branches of the repository in the current directory
+ *
+ * Sets output.log to the function progress messages are written with: console.error for the
+ * json and ndjson formats, so that stdout only carries JSON. With those formats the summary is
+ * written even when the run fails, with the error in its `error` field.
+ */
+async function main(commandOptions, commandLineValues, output = {}) {
+  let options = commandOptions;
+  let report = reporter.createReporter(commandOptions.format);
+  try {
+    options = await resolveOptions(commandOptions, commandLineValues);
+    report = reporter.createReporter(options.format);
+    output.log = report.isMachineReadable ? console.error : console.log;
+
+    validateCleanupOptions(options);
+    await cleanRepository({ ...options, log: output.log }, report);
+  } catch (error) {
+    report.finish({
+      dryRun: Boolean(options.dryRun),
+      cancelled: error instanceof concurrency.CancelledError,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Analyze the repository in the current directory, then confirm and delete the branches found
+ *
+ * Progress messages are written with options.log; results are recorded in report.
+ */
+async function cleanRepository(options, report) {
+  const { log } = options;
+
+  // Validate that we're in a git repository
+  if (!gitOps.isGitRepository()) {
+    throw new Error('This command must be run from within a Git repository');
+  }
+
+  const analysis = await analyzeRepository(options, createGitHubClient);
+  if (!analysis) {
+    report.finish({ dryRun: Boolean(options.dryRun), cancelled: false });
+    return;
+  }
+
+  const { github, repoInfo, defaultBranch, protectedPatterns, branchesToDelete, staleBranches, branchStatus } = analysis;
+  report.reportBranches(branchStatus);
+
+  const deletionCandidates = new Set([...branchesToDelete, ...staleBranches].map(({ branch }) => branch));
+  branchStatus
+    .filter(({ branch }) => !deletionCandidates.has(branch))
+    .forEach(({ branch, status }) => report.recordSkipped(branch, status));
+
+  if (branchesToDelete.length === 0 && staleBranches.length === 0) {
+    log('\n✅ No branches to delete based on the specified criteria');
+    report.finish({ dryRun: Boolean(options.dryRun), cancelled: false });
+    return;
+  }
+
+  if (options.remote && branchesToDelete.length > 0) {
+    log('\n🔍 Checking remote branches on GitHub...');
+    await branchMatcher.planRemoteDeletions(github, repoInfo, branchesToDelete, protectedPatterns);
+  }
+
+  if (branchesToDelete.length > 0) {
+    log(`\n📋 Found ${branchesToDelete.length} branch(es) to delete:`);
+    printDeletions(branchesToDelete, options.remote, log);
+  }
+  if (staleBranches.length > 0) {
+    log(`\n🕸️  Found ${staleBranches.length} stale branch(es) without a PR:`);
+    printDeletions(staleBranches, false, log);
+  }
+
+  if (options.dryRun) {
+    log('\n🔍 Dry run mode - no branches were deleted');
+    [...branchesToDelete, ...staleBranches].forEach(({ branch }) => report.recordSkipped(branch, 'dry run'));
+    report.finish({ dryRun: true, cancelled: false });
+    return;
+  }
+
+  // Stale branches are confirmed separately, since no PR vouches for them
+  const prSelection = await chooseBranches(branchesToDelete, options, report,
+    '\n❓ Do you want to delete these branches? (y/N): ');
+  const staleSelection = await chooseBranches(staleBranches, options, report,
+    `\n❓ Do you want to delete the ${staleBranches.length} stale branch(es) without a PR? (y/N): `);
+  const selectedBranches = [...prSelection.selected, ...staleSelection.selected];
+
+  if (selectedBranches.length === 0) {
+    const cancelled = prSelection.cancelled || staleSelection.cancelled;
+    log(cancelled ? '❌ Operation cancelled' : '✅ No branches selected');
+    report.finish({ dryRun: false, cancelled });
+    return;
+  }
+
+  // Delete the branches
+  log('\n🗑️  Deleting branches...');
+  const sessionId = journal.createSessionId();
+  const { deletedCount, remoteDeletedCount, remoteCandidates } = await deleteSelectedBranches(
+    selectedBranches,
+    { github, repoInfo, report, sessionId, defaultBranchName: defaultBranch.name, log }
+  );
+
+  log(`\n🎉 Successfully deleted ${deletedCount} out of ${selectedBranches.length} branches`);
+  if (options.remote) {
+    log(`🎉 Successfully deleted ${remoteDeletedCount} out of ${remoteCandidates.length} remote branches`);
+  }
+  if (deletedCount > 0) {
+    log(`↩️  Undo with: github-branch-cleaner restore --session ${sessionId}`);
+  }
+  report.finish({ dryRun: false, cancelled: false, session: sessionId });
+}
+
+/**
+ * Let the user choose which of a group of branches to delete
+ *
+ * Shows a checklist with --interactive, asks the question otherwise, and selects every
+ * branch with --force. Returns { selected, cancelled }; branches that were not selected are
+ * recorded as skipped.
+ */
+async function chooseBranches(entries, options, report, question) {
+  const log = options.log || console.log;
+  if (entries.length === 0 || options.force) {
+    return { selected: entries, cancelled: false };
+  }
+
+  const output = report.isMachineReadable ? process.stderr : process.stdout;
+  let selected;
+  if (options.interactive) {
+    // Branches without a date are shown with an unknown age
+    const lastCommitDates = await gitOps.getLastCommitDates().catch(() => new Map());
+    const items = entries.map(entry => ({
+      branch: entry.branch,
+      prNumber: entry.pr ? entry.pr.number : null,
+      state: entry.reason,
+      title: entry.pr ? entry.pr.title : (entry.title || null),
+      age: duration.formatAge(lastCommitDates.get(entry.branch) || null),
+      merged: entry.pr ? Boolean(entry.pr.merged) : Boolean(entry.localMerge),
+      entry
+    }));
+
+    log('');
+    const chosen = await interactiveSelect.selectBranches(items, { output });
+    selected = chosen === null ? null : chosen.map(item => item.entry);
+  } else {
+    selected = await askForConfirmation(question, output) ? entries : null;
+  }
+
+  if (selected === null) {
+    entries.forEach(({ branch }) => report.recordSkipped(branch, 'cancelled'));
+    return { selected: [], cancelled: true };
+  }
+
+  entries
+    .filter(entry => !selected.includes(entry))
+    .forEach(({ branch }) => report.recordSkipped(branch, 'not selected'));
+  return { selected, cancelled: false };
+}
+
+/**
+ * Clean every git repository under a directory with one grouped report and one confirmation
+ *
+ * Repositories are analyzed one after another from their own directory. Failures such as a
+ * missing remote or no access are reported per repository without stopping the run, and
+ * repositories on the same host share one GitHub client and its rate-limit budget.
+ */
+async function handleRecursive(commandOptions, commandLineValues) {
+  // Run-wide settings come from the current directory, cleanup policy from each repository
+  const options = await resolveOptions(commandOptions, commandLineValues);
+
+  if (options.interactive) {
+    throw new Error('--interactive cannot be combined with --recursive');
+  }
+
+  if (options.format !== 'human') {
+    throw new Error('--recursive only supports the human output format');
+  }
+
+  const repositories = gitOps.findGitRepositories(options.recursive);
+  if (repositories.length === 0) {
+    console.log(`✅ No git repositories found under ${options.recursive}`);
+    return;
+  }
+
+  console.log(`📁 Found ${repositories.length} git repositories under ${options.recursive}`);
+
+  const clients = new Map();
+  const getClient = (host) => {
+    if (!clients.has(host)) {
+      clients.set(host, createGitHubClient(host));
+    }
+    return clients.get(host);
+  };
+
+  const originalDirectory = process.cwd();
+  const results = [];
+  const failures = [];
+
+  for (const directory of repositories) {
+    console.log(`\n📁 ${directory}`);
+    try {
+      process.chdir(directory);
+      const repositoryOptions = await resolveOptions(commandOptions, commandLineValues);
+      validateCleanupOptions(repositoryOptions);
+
+      const analysis = await analyzeRepository(repositoryOptions, getClient);
+      if (analysis && (analysis.branchesToDelete.length > 0 || analysis.staleBranches.length > 0)) {
+        if (repositoryOptions.remote && analysis.branchesToDelete.length > 0) {
+          await branchMatcher.planRemoteDeletions(
+            analysis.github,
+            analysis.repoInfo,
+            analysis.branchesToDelete,
+            analysis.protectedPatterns
+          );
+        }
+        results.push({ directory, remote: Boolean(repositoryOptions.remote), ...analysis });
+      }
+    } catch (error) {
+      if (error instanceof concurrency.CancelledError) {
+        throw error;
+      }
+      console.log(`❌ ${error.message}`);
+      failures.push({ directory, error: error.message });
+    } finally {
+      process.chdir(originalDirectory);
+    }
+  }
+
+  console.log('\n📋 Summary');
+  if (failures.length > 0) {
+    console.log(`\n❌ ${failures.length} repository(ies) could not be analyzed:`);
+    failures.forEach(({ directory, error }) => console.log(`  - ${directory}: ${error}`));
+  }
+
+  if (results.length === 0) {
     console.log('\n✅ No branches to delete based on the specified criteria');
     return;
   }
 
-  console.log(`\n📋 Found ${branchesToDelete.length} branch(es) to delete:`);
-  branchesToDelete.forEach(({ branch, pr }) => {
-    const status = pr.merged ? 'merged' : pr.state;
-    console.log(`  - ${branch} (${status} PR #${pr.number})`);
-  });
+  const prCount = results.reduce((count, { branchesToDelete }) => count + branchesToDelete.length, 0);
+  const staleCount = results.reduce((count, { staleBranches }) => count + staleBranches.length, 0);
+  if (prCount > 0) {
+    console.log(`\n📋 Found ${prCount} branch(es) to delete:`);
+    results
+      .filter(({ branchesToDelete }) => branchesToDelete.length > 0)
+      .forEach(({ directory, remote, branchesToDelete }) => {
+        console.log(`\n📁 ${directory}`);
+        printDeletions(branchesToDelete, remote);
+      });
+  }
+  if (staleCount > 0) {
+    console.log(`\n🕸️  Found ${staleCount} stale branch(es) without a PR:`);
+    results
+      .filter(({ staleBranches }) => staleBranches.length > 0)
+      .forEach(({ directory, staleBranches }) => {
+        console.log(`\n📁 ${directory}`);
+        printDeletions(staleBranches, false);
+      });
+  }
 
   if (options.dryRun) {
     console.log('\n🔍 Dry run mode - no branches were deleted');
     return;
   }
 
-  // Ask for confirmation unless --force is used
-  if (!options.force) {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
+  // Stale branches are confirmed separately, since no PR vouches for them
+  const deletePRBranches = prCount > 0 && (options.force ||
+    await askForConfirmation('\n❓ Do you want to delete these branches? (y/N): '));
+  const deleteStaleBranches = staleCount > 0 && (options.force ||
+    await askForConfirmation(`\n❓ Do you want to delete the ${staleCount} stale branch(es) without a PR? (y/N): `));
 
-    const answer = await new Promise(resolve => {
-      rl.question('\n❓ Do you want to delete these branches? (y/N): ', resolve);
-    });
-    rl.close();
+  if (!deletePRBranches && !deleteStaleBranches) {
+    console.log('❌ Operation cancelled');
+    return;
+  }
+
+  // One session id for the whole run; each repository keeps its own journal
+  const sessionId = journal.createSessionId();
+  const report = reporter.createReporter('human');
+  let deletedCount = 0;
+  let selectedCount = 0;
+
+  for (const { directory, github, repoInfo, defaultBranch, branchesToDelete, staleBranches } of results) {
+    const selectedBranches = [
+      ...(deletePRBranches ? branchesToDelete : []),
+      ...(deleteStaleBranches ? staleBranches : [])
+    ];
+    if (selectedBranches.length === 0) {
+      continue;
+    }
 
-    if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
-      console.log('❌ Operation cancelled');
-      return;
+    console.log(`\n🗑️  Deleting branches in ${directory}...`);
+    selectedCount += selectedBranches.length;
+    try {
+      process.chdir(directory);
+      const counts = await deleteSelectedBranches(selectedBranches, {
+        github, repoInfo, report, sessionId, defaultBranchName: defaultBranch.name
+      });
+      deletedCount += counts.deletedCount;
+    } catch (error) {
+      console.log(`❌ ${error.message}`);
+    } finally {
+      process.chdir(originalDirectory);
     }
   }
 
-  // Delete the branches
-  console.log('\n🗑️  Deleting branches...');
+  console.log(`\n🎉 Successfully deleted ${deletedCount} out of ${selectedCount} branches`);
+  if (deletedCount > 0) {
+    console.log(`↩️  Undo with: github-branch-cleaner restore --session ${sessionId} (from the repository directory)`);
+  }
+}
+
+/**
+ * Ask a yes/no question, resolving to true for "y" or "yes"
+ */
+async function askForConfirmation(question, output = process.stdout) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output
+  });
+
+  const answer = await new Promise(resolve => {
+    rl.question(question, resolve);
+  });
+  rl.close();
+
+  return answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes';
+}
+
+/**
+ * Delete the selected branches of the repository in the current directory
+ *
+ * Each branch is recorded in the undo journal first. Its worktree is removed first when one was
+ * planned for removal, and its PR head branch is deleted on GitHub too when it was planned for
+ * remote deletion. defaultBranchName is the repository's default branch, whose remote-tracking
+ * ref is never removed. Progress messages are written with log.
+ */
+async function deleteSelectedBranches(selectedBranches, { github, repoInfo, report, sessionId, defaultBranchName = null, log = console.log }) {
   let deletedCount = 0;
+  let remoteDeletedCount = 0;
+  const remoteCandidates = selectedBranches.filter(({ remote }) => remote && remote.shouldDelete);
+  // Without the upstreams of the other branches no remote-tracking ref is known to be unused
+  const upstreams = await gitOps.getUpstreamBranches().catch(() => new Map());
+
+  for (const entry of selectedBranches) {
+    const { branch, pr, reason, remote, worktree } = entry;
+    try {
+      // Record the branch in the undo journal first; never delete what cannot be restored
+      await journal.recordDeletion(sessionId, { branch, prNumber: pr ? pr.number : null, reason });
+    } catch (error) {
+      log(`❌ Not deleting ${branch}, could not write the undo journal: ${error.message}`);
+      report.recordFailed(branch, error.message);
+      skipRemoteDeletion(entry, report, log);
+      continue;
+    }
 
-  for (const { branch } of branchesToDelete) {
+    let deletedLocally = false;
     try {
+      // git branch -D also drops the branch.<name>.* config; the remote-tracking ref is removed below
+      const trackingRef = await branchMatcher.getRemovableTrackingRef(entry, upstreams, defaultBranchName);
+      if (worktree) {
+        await gitOps.removeWorktree(worktree);
+        log(`✅ Removed worktree: ${worktree}`);
+      }
       await gitOps.deleteBranch(branch);
-      console.log(`✅ Deleted: ${branch}`);
+      log(`✅ Deleted: ${branch}`);
+      report.recordDeleted(branch, reason);
+      upstreams.delete(branch);
       deletedCount++;
+      deletedLocally = true;
+
+      if (trackingRef) {
+        await gitOps.deleteRef(trackingRef).catch(error => {
+          log(`⚠️  Could not remove ${trackingRef}: ${error.message}`);
+        });
+      }
     } catch (error) {
-      console.log(`❌ Failed to delete ${branch}: ${error.message}`);
+      log(`❌ Failed to delete ${branch}: ${error.message}`);
+      report.recordFailed(branch, error.message);
+      await journal.recordDeletionFailure(sessionId, branch).catch(() => {});
     }
+
+    if (!deletedLocally) {
+      // Keep the branch on GitHub too, so it is not lost in both places while still checked out locally
+      skipRemoteDeletion(entry, report, log);
+    } else if (remote && remote.shouldDelete) {
+      try {
+        const headRepository = branchMatcher.getHeadRepository(repoInfo);
+        await githubApi.deleteRemoteBranch(github, headRepository.owner, headRepository.name, remote.branch);
+        log(`✅ Deleted on GitHub: ${remote.branch}`);
+        report.recordRemoteDeleted(branch, remote.branch);
+        remoteDeletedCount++;
+      } catch (error) {
+        log(`❌ Failed to delete ${remote.branch} on GitHub: ${error.message}`);
+        report.recordFailed(branch, error.message, true);
+      }
+    }
+  }
+
+  return { deletedCount, remoteDeletedCount, remoteCandidates };
+}
+
+/**
+ * Report the planned GitHub deletion of a branch as skipped because the local branch was not deleted
+ */
+function skipRemoteDeletion({ branch, remote }, report, log = console.log) {
+  if (!remote || !remote.shouldDelete) {
+    return;
+  }
+  log(`⏭️  Not deleting ${remote.branch} on GitHub, the local branch was not deleted`);
+  report.recordSkipped(branch, 'local branch was not deleted', true);
+}
+
+/**
+ * Describe why a branch is about to be deleted, and the worktree removed with it
+ */
+function describeDeletion(entry) {
+  const description = describeDeletionReason(entry);
+  return entry.worktree ? `${description}, removes worktree ${entry.worktree}` : description;
+}
+
+/**
+ * Describe why a branch is about to be deleted
+ */
+function describeDeletionReason({ pr, reason, extraCommits, localMerge, stale, gone, verification }) {
+  if (stale) {
+    return `no PR, ${branchMatcher.formatStaleEvidence(stale)}`;
   }
 
-  console.log(`\n🎉 Successfully deleted ${deletedCount} out of ${branchesToDelete.length} branches`);
+  if (reason === 'gone') {
+    return `upstream ${gone} is gone`;
+  }
+
+  const description = localMerge
+    ? `merged into ${localMerge.target} (${localMerge.method})`
+    : `${pr.merged ? 'merged' : pr.state} PR #${pr.number}`;
+  const source = verification ? `, ${verification === 'history' ? 'verified in history' : 'trusted from API'}` : '';
+  if (reason === 'diverged') {
+    return `${description}, ${branchMatcher.formatExtraCommits(extraCommits)}${source}`;
+  }
+  return `${description}${source}`;
+}
+
+/**
+ * Print a list of branches to delete, as a table with a remote column when remote deletion is planned
+ */
+function printDeletions(entries, remote, log = console.log) {
+  if (remote) {
+    printDeletionTable(entries, log);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    log(`  - ${entry.branch} (${describeDeletion(entry)})`);
+  });
+}
+
+/**
+ * Print the branches to delete with separate local and remote columns
+ */
+function printDeletionTable(branchesToDelete, log = console.log) {
+  const rows = branchesToDelete.map((entry) => {
+    const { branch, remote } = entry;
+    return {
+      branch: `${branch} (${describeDeletion(entry)})`,
+      local: 'delete',
+      remote: remote && remote.shouldDelete ? `delete ${remote.branch}` : `keep (${remote ? remote.reason : 'not checked'})`
+    };
+  });
+
+  const branchWidth = Math.max('Branch'.length, ...rows.map(row => row.branch.length));
+  const localWidth = Math.max('Local'.length, ...rows.map(row => row.local.length));
+
+  log(`  ${'Branch'.padEnd(branchWidth)}  ${'Local'.padEnd(localWidth)}  Remote`);
+  rows.forEach(row => {
+    log(`  ${row.branch.padEnd(branchWidth)}  ${row.local.padEnd(localWidth)}  ${row.remote}`);
+  });
 }
 
 // Handle unhandled promise rejections
@@ -0,0 +1,232 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { DEFAULT_HOST } = require('./github-api');
+
+// Authentication file path
+const AUTH_FILE_PATH = path.join(os.homedir(), '.github-branch-cleaner-auth');
+
+/**
+ * Get the auth file key for a host's token
+ *
+ * github.com uses the plain GITHUB_TOKEN key, so auth files written by older versions keep
+ * working; other hosts use GITHUB_TOKEN@<host>.
+ */
+function getTokenKey(host = DEFAULT_HOST) {
+  return host === DEFAULT_HOST ? 'GITHUB_TOKEN' : `GITHUB_TOKEN@${host}`;
+}
+
+/**
+ * Parse the auth file into a Map of host -> token
+ */
+function parseAuthFile(content) {
+  const tokens = new Map();
+
+  content.split('\n').forEach(line => {
+    const trimmedLine = line.trim();
+    const match = trimmedLine.match(/^GITHUB_TOKEN(?:@([^=\s]+))?=(.*)$/);
+    if (match) {
+      tokens.set(match[1] || DEFAULT_HOST, match[2]);
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Load the GitHub token for a host from the auth file
+ */
+function loadGitHubToken(host = DEFAULT_HOST) {
+  try {
+    if (fs.existsSync(AUTH_FILE_PATH)) {
+      const authFileContent = fs.readFileSync(AUTH_FILE_PATH, 'utf8');
+      return parseAuthFile(authFileContent).get(host) || null;
+    }
+  } catch (error) {
+    // Ignore errors reading auth file, callers report the missing token
+  }
+
+  return null;
+}
+
+/**
+ * Save the GitHub token for a host to the auth file, keeping the tokens of other hosts
+ */
+function saveGitHubToken(token, host = DEFAULT_HOST) {
+  const tokens = fs.existsSync(AUTH_FILE_PATH)
+    ? parseAuthFile(fs.readFileSync(AUTH_FILE_PATH, 'utf8'))
+    : new Map();
+  tokens.set(host, token);
+
+  const lines = [
+    '# GitHub Personal Access Tokens for github-branch-cleaner',
+    '# This file was created by running: github-branch-cleaner --login'
+  ];
+  tokens.forEach((value, tokenHost) => {
+    lines.push(`${getTokenKey(tokenHost)}=${value}`);
+  });
+
+  fs.writeFileSync(AUTH_FILE_PATH, `${lines.join('\n')}\n`, { mode: 0o600 }); // Restrict file permissions
+  return AUTH_FILE_PATH;
+}
+
+/**
+ * Get the environment variables that may hold a token for a host, in order of precedence
+ *
+ * Like the gh CLI, other hosts only use the GH_ENTERPRISE_TOKEN variables: the host comes from
+ * a remote URL, so a github.com token must never be sent to whatever host a remote names.
+ */
+function getTokenEnvironmentVariables(host = DEFAULT_HOST) {
+  return host === DEFAULT_HOST
+    ? ['GITHUB_TOKEN', 'GH_TOKEN']
+    : ['GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN'];
+}
+
+/**
+ * Get the path of the gh CLI's hosts.yml
+ */
+function getGhHostsPath() {
+  if (process.env.GH_CONFIG_DIR) {
+    return path.join(process.env.GH_CONFIG_DIR, 'hosts.yml');
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'gh', 'hosts.yml');
+}
+
+/**
+ * Read the oauth_token of a host from the contents of the gh CLI's hosts.yml
+ *
+ * Only the small subset of YAML that gh writes is understood: top-level host keys with an
+ * indented oauth_token directly below them.
+ */
+function parseGhHostsToken(content, host = DEFAULT_HOST) {
+  let currentHost = null;
+  let childIndent = null;
+
+  for (const line of content.split('\n')) {
+    if (line.trim().length === 0 || line.trim().startsWith('#')) {
+      continue;
+    }
+
+    const indent = line.length - line.trimStart().length;
+    if (indent === 0) {
+      currentHost = line.trim().replace(/:$/, '').replace(/^["']|["']$/g, '');
+      childIndent = null;
+      continue;
+    }
+
+    if (currentHost !== host) {
+      continue;
+    }
+
+    if (childIndent === null) {
+      childIndent = indent;
+    }
+
+    const match = line.trim().match(/^oauth_token:\s*["']?([^"'\s]+)["']?$/);
+    if (match && indent === childIndent) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the gh CLI token for a host from hosts.yml, or from `gh auth token` when gh keeps it
+ * in the system keyring
+ */
+function loadGhToken(host = DEFAULT_HOST) {
+  const hostsPath = getGhHostsPath();
+  try {
+    if (fs.existsSync(hostsPath)) {
+      const token = parseGhHostsToken(fs.readFileSync(hostsPath, 'utf8'), host);
+      if (token) {
+        return { token, source: `gh CLI config (${hostsPath})` };
+      }
+    }
+  } catch (error) {
+    // Ignore unreadable gh config and try the gh command
+  }
+
+  try {
+    const token = execFileSync('gh', ['auth', 'token', '--hostname', host], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 5000
+    }).trim();
+    if (token) {
+      return { token, source: 'gh CLI (gh auth token)' };
+    }
+  } catch (error) {
+    // gh is not installed or not logged in to this host
+  }
+
+  return null;
+}
+
+/**
+ * Ask git's credential helpers for the password stored for a host, without prompting
+ */
+function loadGitCredentialToken(host = DEFAULT_HOST) {
+  try {
+    const output = execFileSync('git', ['credential', 'fill'], {
+      encoding: 'utf8',
+      input: `protocol=https\nhost=${host}\n\n`,
+      stdio: ['pipe', 'pipe', 'ignore'],
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_ASKPASS: '', SSH_ASKPASS: '' },
+      timeout: 5000
+    });
+
+    const passwordLine = output.split('\n').find(line => line.startsWith('password='));
+    return passwordLine ? passwordLine.substring('password='.length) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find a GitHub token for a host, returning { token, source } or null
+ *
+ * Sources are checked in order: environment variables, the gh CLI, git credential
+ * helpers, and finally the auth file written by --login.
+ */
+function findGitHubToken(host = DEFAULT_HOST) {
+  for (const variable of getTokenEnvironmentVariables(host)) {
+    if (process.env[variable]) {
+      return { token: process.env[variable], source: `${variable} environment variable` };
+    }
+  }
+
+  const ghToken = loadGhToken(host);
+  if (ghToken) {
+    return ghToken;
+  }
+
+  const credentialToken = loadGitCredentialToken(host);
+  if (credentialToken) {
+    return { token: credentialToken, source: 'git credential helper' };
+  }
+
+  const fileToken = loadGitHubToken(host);
+  if (fileToken) {
+    return { token: fileToken, source: `auth file (${AUTH_FILE_PATH})` };
+  }
+
+  return null;
+}
+
+module.exports = {
+  AUTH_FILE_PATH,
+  getTokenKey,
+  parseAuthFile,
+  loadGitHubToken,
+  saveGitHubToken,
+  getTokenEnvironmentVariables,
+  getGhHostsPath,
+  parseGhHostsToken,
+  loadGhToken,
+  loadGitCredentialToken,
+  findGitHubToken
+};
@@ -1,28 +1,254 @@
 const githubApi = require('./github-api');
 const gitOps = require('./git-operations');
+const prCache = require('./pr-cache');
+const protection = require('./protected-branches');
+const duration = require('./duration');
+const concurrency = require('./concurrency');
+
+// Days to look back before the oldest local commit when fetching PRs
+const DEFAULT_SEARCH_BUFFER_DAYS = 30;
 
 /**
- * Find the pull request associated with a branch
+ * Call fn(branch) for every branch, options.concurrency at a time, as a Map of branch -> result
+ *
+ * The Map is in the order of branches. Aborting options.signal cancels the branches that
+ * have not started yet.
  */
-async function findPRForBranch(octokit, repoInfo, branchName) {
+async function mapBranches(branches, options, fn) {
+  const results = await concurrency.mapWithConcurrency(branches, options.concurrency, fn, { signal: options.signal });
+  return new Map(branches.map((branch, index) => [branch, results[index]]));
+}
+
+/**
+ * Get the function progress messages are written with: options.log, or console.log
+ */
+function getLog(options = {}) {
+  return options.log || console.log;
+}
+
+/**
+ * Get the repository that local branches are pushed to
+ *
+ * In fork-based workflows this is the fork, while repoInfo.owner/name is the parent
+ * repository where the PRs live.
+ */
+function getHeadRepository(repoInfo) {
+  return {
+    owner: repoInfo.headOwner || repoInfo.owner,
+    name: repoInfo.headName || repoInfo.name
+  };
+}
+
+/**
+ * Get the lookup key of a head branch ("owner:branch", owner lowercased)
+ */
+function getHeadKey(headOwner, branchName) {
+  return `${headOwner.toLowerCase()}:${branchName}`;
+}
+
+/**
+ * Check if a PR was opened from the given branch of the head repository
+ */
+function isPRFromBranch(pr, repoInfo, branchName) {
+  const { owner } = getHeadRepository(repoInfo);
+  const prHeadOwner = pr.head.label ? pr.head.label.split(':')[0] : '';
+  return getHeadKey(prHeadOwner, pr.head.ref) === getHeadKey(owner, branchName);
+}
+
+/**
+ * Find a local remote that points to the given repository, or null
+ */
+async function findRemoteForRepository({ host, owner, name }) {
+  const remoteNames = await gitOps.getRemoteNames().catch(() => []);
+  for (const remoteName of remoteNames) {
+    const remoteInfo = await gitOps.getRepositoryInfo(remoteName).catch(() => null);
+    if (remoteInfo && remoteInfo.host === host &&
+      `${remoteInfo.owner}/${remoteInfo.name}`.toLowerCase() === `${owner}/${name}`.toLowerCase()) {
+      return remoteName;
+    }
+  }
+  return null;
+}
+
+/**
+ * Determine which repository to look up PRs in
+ *
+ * When origin is a fork, PRs live in the parent repository. The parent is taken from an
+ * `upstream` remote if there is one, otherwise from the `parent` field GitHub reports for
+ * origin. Returns repoInfo with headOwner/headName set to origin, and parentRemote set to the
+ * local remote of the parent (null when there is none, or origin is not a fork).
+ */
+async function resolvePRRepository(octokit, originInfo) {
+  const repoInfo = {
+    host: originInfo.host,
+    owner: originInfo.owner,
+    name: originInfo.name,
+    headOwner: originInfo.owner,
+    headName: originInfo.name,
+    forkSource: null,
+    parentRemote: null
+  };
+
+  if (await gitOps.remoteExists('upstream')) {
+    try {
+      const upstreamInfo = await gitOps.getRepositoryInfo('upstream');
+      if (upstreamInfo.host === originInfo.host &&
+        `${upstreamInfo.owner}/${upstreamInfo.name}`.toLowerCase() !== `${originInfo.owner}/${originInfo.name}`.toLowerCase()) {
+        return {
+          ...repoInfo,
+          owner: upstreamInfo.owner,
+          name: upstreamInfo.name,
+          forkSource: 'upstream remote',
+          parentRemote: 'upstream'
+        };
+      }
+    } catch (error) {
+      console.warn(`⚠️  Ignoring upstream remote: ${error.message}`);
+    }
+  }
+
+  try {
+    const repository = await githubApi.getRepositoryInfo(octokit, originInfo.owner, originInfo.name);
+    if (repository.fork && repository.parent) {
+      const parent = { host: originInfo.host, owner: repository.parent.owner.login, name: repository.parent.name };
+      return {
+        ...repoInfo,
+        owner: parent.owner,
+        name: parent.name,
+        forkSource: 'GitHub fork parent',
+        parentRemote: await findRemoteForRepository(parent)
+      };
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not check whether ${originInfo.owner}/${originInfo.name} is a fork: ${error.message}`);
+  }
+
+  return repoInfo;
+}
+
+/**
+ * Find the repository's default branch, as { name, ref }
+ *
+ * The default branch is taken from GitHub when a client is given, falling back to the remote's
+ * HEAD (or a local main/master). ref is what branches are compared with: the remote-tracking
+ * branch when it exists, otherwise the local branch. Without a client a missing default branch
+ * is an error; with one, { name: null, ref: null } is returned instead.
+ */
+async function resolveDefaultBranch(octokit, repoInfo, remoteName = 'origin') {
+  if (octokit) {
+    try {
+      const repository = await githubApi.getRepositoryInfo(octokit, repoInfo.owner, repoInfo.name);
+      const name = repository.default_branch;
+      for (const ref of [`${remoteName}/${name}`, name]) {
+        if (await gitOps.commitExists(ref)) {
+          return { name, ref };
+        }
+      }
+      return { name, ref: null };
+    } catch (error) {
+      console.warn(`⚠️  Could not get the default branch from GitHub, using ${remoteName}/HEAD: ${error.message}`);
+    }
+  }
+
+  try {
+    const ref = await gitOps.getDefaultBranch(remoteName);
+    const name = ref.startsWith(`${remoteName}/`) ? ref.substring(remoteName.length + 1) : ref;
+    return { name, ref };
+  } catch (error) {
+    if (!octokit) {
+      throw error;
+    }
+    return { name: null, ref: null };
+  }
+}
+
+/**
+ * Check whether a branch's tip is in the history of the default branch or its PR's base branch
+ *
+ * Returns 'history' when it is, or 'api' when the deletion relies on the PR state on GitHub
+ * alone. Branches of squash and rebase merges are never found, since their commits were rewritten.
+ * For forks the branches of the parent's remote are used, since the fork's own branches may
+ * never have received the merge; without a parent remote the PR state is trusted.
+ */
+async function verifyInHistory(branchName, pr, options, repoInfo = null) {
+  const baseRef = pr.base && pr.base.ref;
+  let targets;
+  if (repoInfo && repoInfo.forkSource) {
+    if (!repoInfo.parentRemote) {
+      return 'api';
+    }
+    targets = [
+      options.defaultBranchName && `${repoInfo.parentRemote}/${options.defaultBranchName}`,
+      baseRef && `${repoInfo.parentRemote}/${baseRef}`
+    ].filter(Boolean);
+  } else {
+    targets = [
+      options.defaultBranchRef,
+      baseRef && `${options.remoteName || 'origin'}/${baseRef}`,
+      baseRef
+    ].filter(Boolean);
+  }
+
+  for (const target of new Set(targets)) {
+    if (await gitOps.commitExists(target) && await gitOps.isAncestor(branchName, target)) {
+      return 'history';
+    }
+  }
+
+  return 'api';
+}
+
+/**
+ * Choose the PR that decides what happens to a branch from all PRs opened from it
+ *
+ * Any open PR keeps the branch, so the newest open PR wins; otherwise the newest PR
+ * decides. Returns { pr, prs } with prs sorted newest first, or { pr: null, prs: [] }.
+ */
+function choosePullRequest(prs) {
+  const sorted = [...prs].sort((a, b) => b.number - a.number);
+  const open = sorted.find(pr => pr.state === 'open');
+  return { pr: open || sorted[0] || null, prs: sorted };
+}
+
+/**
+ * Choose the PR of a branch from its PRs and fetch its details, which include the 'merged' property
+ *
+ * Returns { pr, prs } as choosePullRequest does, with the chosen PR replaced by its details in prs.
+ */
+async function choosePullRequestWithDetails(octokit, repoInfo, prs) {
+  const { pr: basicPR, prs: sorted } = choosePullRequest(prs);
+  if (!basicPR) {
+    return { pr: null, prs: [] };
+  }
+
+  const detailedPR = await githubApi.getPullRequestDetails(
+    octokit,
+    repoInfo.owner,
+    repoInfo.name,
+    basicPR.number
+  );
+  return { pr: detailedPR, prs: sorted.map(pr => (pr.number === detailedPR.number ? detailedPR : pr)) };
+}
+
+/**
+ * Find the pull requests associated with a branch
+ *
+ * Returns { pr, prs } as choosePullRequest does: prs holds every PR found from the branch, and
+ * pr the one that decides what happens to it, or null when no PR was found.
+ */
+async function findPullRequestsForBranch(octokit, repoInfo, branchName) {
   try {
     // First, try to find PRs with exact branch match
     const prs = await githubApi.findPullRequestsForBranch(
       octokit,
       repoInfo.owner,
       repoInfo.name,
-      branchName
+      branchName,
+      getHeadRepository(repoInfo).owner
     );
 
     if (prs.length > 0) {
-      // Get full PR details to ensure we have the 'merged' property
-      const prDetails = await githubApi.getPullRequestDetails(
-        octokit,
-        repoInfo.owner,
-        repoInfo.name,
-        prs[0].number
-      );
-      return prDetails;
+      return await choosePullRequestWithDetails(octokit, repoInfo, prs);
     }
 
     // If no exact match, try searching with different strategies
@@ -45,19 +271,12 @@ async function findPRForBranch(octokit, repoInfo, branchName) {
         );
 
         // Filter results to find exact branch matches
-        const exactMatch = searchResults.find(pr =>
+        const exactMatches = searchResults.filter(pr =>
           pr.pull_request && pr.pull_request.head && pr.pull_request.head.ref === branchName
         );
 
-        if (exactMatch) {
-          // Get full PR details
-          const prDetails = await githubApi.getPullRequestDetails(
-            octokit,
-            repoInfo.owner,
-            repoInfo.name,
-            exactMatch.number
-          );
-          return prDetails;
+        if (exactMatches.length > 0) {
+          return await choosePullRequestWithDetails(octokit, repoInfo, exactMatches);
         }
       } catch (searchError) {
         // Continue to next strategy if this one fails
@@ -73,57 +292,183 @@ async function findPRForBranch(octokit, repoInfo, branchName) {
         repoInfo.name
       );
 
-      const matchingPR = allPRs.find(pr => pr.head.ref === branchName);
-      if (matchingPR) {
-        // Get full PR details to ensure we have the 'merged' property
-        const prDetails = await githubApi.getPullRequestDetails(
-          octokit,
-          repoInfo.owner,
-          repoInfo.name,
-          matchingPR.number
-        );
-        return prDetails;
-      }
-      return null;
+      return await choosePullRequestWithDetails(
+        octokit,
+        repoInfo,
+        allPRs.filter(pr => isPRFromBranch(pr, repoInfo, branchName))
+      );
     } catch (error) {
       console.warn(`Failed to get all PRs: ${error.message}`);
     }
 
-    return null;
+    return { pr: null, prs: [] };
   } catch (error) {
     throw new Error(`Failed to find PR for branch ${branchName}: ${error.message}`);
   }
 }
 
 /**
- * Determine if a branch should be deleted based on its PR status and options
+ * Find the pull request associated with a branch
  */
-function shouldDeleteBranch(pr, options) {
+async function findPRForBranch(octokit, repoInfo, branchName) {
+  const { pr } = await findPullRequestsForBranch(octokit, repoInfo, branchName);
+  return pr;
+}
+
+/**
+ * Count local commits on a branch that are not part of its PR
+ *
+ * Returns 0 when the local tip is one of the PR's commits, the number of local commits
+ * on top of the newest PR commit otherwise, or null when none of the PR's commits are in
+ * the local history (e.g. the branch was rewritten after the merge).
+ */
+async function countCommitsNotInPR(octokit, repoInfo, branchName, pr) {
+  const localTip = await gitOps.getBranchCommit(branchName);
+  if (localTip === pr.head.sha) {
+    return 0;
+  }
+
+  const prCommits = new Set(await githubApi.getPullRequestCommits(
+    octokit,
+    repoInfo.owner,
+    repoInfo.name,
+    pr.number
+  ));
+  prCommits.add(pr.head.sha);
+
+  const history = await gitOps.getBranchHistory(branchName);
+  const index = history.findIndex(sha => prCommits.has(sha));
+  return index === -1 ? null : index;
+}
+
+/**
+ * Describe the extra local commits of a diverged branch
+ */
+function formatExtraCommits(extraCommits) {
+  if (extraCommits === null) {
+    return 'local history does not contain the PR commits';
+  }
+  return `${extraCommits} extra commit${extraCommits === 1 ? '' : 's'}`;
+}
+
+/**
+ * Determine if the state of a branch's PR matches the deletion criteria (--merged, --closed)
+ *
+ * extraCommits is the result of countCommitsNotInPR; merged and closed branches with local
+ * commits that are not in the PR are kept unless options.includeDiverged is set.
+ */
+function matchesDeletionCriteria(pr, options, extraCommits = 0) {
   if (!pr) {
     return false;
   }
 
   // Check if PR is merged
   if (options.merged && pr.merged) {
-    return true;
+    return extraCommits === 0 || Boolean(options.includeDiverged);
   }
 
   // Check if PR is closed (but not merged)
   if (options.closed && pr.state === 'closed' && !pr.merged) {
-    return true;
+    return extraCommits === 0 || Boolean(options.includeDiverged);
   }
 
   return false;
 }
 
+/**
+ * Check if any of the PR filters (--author, --exclude-label, --include-label, --base, --exclude-drafts) is set
+ */
+function hasPullRequestFilters(options) {
+  return Boolean(options.author || options.base || options.excludeDrafts) ||
+    (options.excludeLabel || []).length > 0 ||
+    (options.includeLabel || []).length > 0;
+}
+
+/**
+ * Check a PR against the PR filters
+ *
+ * Returns null when the PR passes every filter, otherwise why its branch is skipped, e.g.
+ * "authored by alice, not bob". Logins and labels are compared case-insensitively. Filters
+ * that require something of the PR skip branches without one.
+ */
+function getFilterMismatch(pr, options) {
+  const lower = value => value.toLowerCase();
+  const excludeLabels = (options.excludeLabel || []).map(lower);
+  const includeLabels = (options.includeLabel || []).map(lower);
+
+  if (!pr) {
+    return options.author || options.base || includeLabels.length > 0
+      ? 'no PR to check the filters against'
+      : null;
+  }
+
+  const author = pr.user ? pr.user.login : null;
+  if (options.author && (!author || lower(author) !== lower(options.author))) {
+    return `authored by ${author || 'unknown user'}, not ${options.author}`;
+  }
+
+  const labels = (pr.labels || []).map(({ name }) => name);
+  const excluded = labels.find(label => excludeLabels.includes(lower(label)));
+  if (excluded) {
+    return `labelled ${excluded}`;
+  }
+
+  if (includeLabels.length > 0 && !labels.some(label => includeLabels.includes(lower(label)))) {
+    return `not labelled ${options.includeLabel.join(' or ')}`;
+  }
+
+  const base = pr.base ? pr.base.ref : null;
+  if (options.base && base !== options.base) {
+    return `targets ${base || 'unknown branch'}, not ${options.base}`;
+  }
+
+  if (options.excludeDrafts && pr.draft) {
+    return 'draft PR';
+  }
+
+  return null;
+}
+
+/**
+ * List the PR fields the active filters look at (e.g. "author alice; labels bug, ui; base main")
+ */
+function formatFilterFields(pr, options) {
+  const fields = [];
+  if (options.author) {
+    fields.push(`author ${pr.user ? pr.user.login : 'unknown'}`);
+  }
+  if ((options.excludeLabel || []).length > 0 || (options.includeLabel || []).length > 0) {
+    const labels = (pr.labels || []).map(({ name }) => name);
+    fields.push(`labels ${labels.length > 0 ? labels.join(', ') : 'none'}`);
+  }
+  if (options.base) {
+    fields.push(`base ${pr.base ? pr.base.ref : 'unknown'}`);
+  }
+  if (options.excludeDrafts) {
+    fields.push(pr.draft ? 'draft' : 'ready for review');
+  }
+  return fields.join('; ');
+}
+
+/**
+ * Determine if a branch should be deleted based on its PR status, the PR filters and options
+ */
+function shouldDeleteBranch(pr, options, extraCommits = 0) {
+  return matchesDeletionCriteria(pr, options, extraCommits) && !getFilterMismatch(pr, options);
+}
+
 /**
  * Get a summary of the PR status
  */
-function getPRStatusSummary(pr) {
+function getPRStatusSummary(pr, extraCommits = 0) {
   if (!pr) {
     return 'No PR found';
   }
 
+  if (pr.merged && extraCommits !== 0) {
+    return `Diverged after merge (${formatExtraCommits(extraCommits)})`;
+  }
+
   if (pr.merged) {
     return `Merged (${pr.state})`;
   }
@@ -131,17 +476,46 @@ function getPRStatusSummary(pr) {
   return pr.state.charAt(0).toUpperCase() + pr.state.slice(1);
 }
 
+/**
+ * Check a merged or closed PR against the grace period of options.mergedBefore or options.closedBefore
+ *
+ * Returns null when the branch is past the grace period or none is set, otherwise why it has
+ * to wait, e.g. "3 days left in grace period" or "merged after 2024-05-01".
+ */
+function getGracePeriodWait(pr, options, now = new Date()) {
+  const [limit, eventDate, verb] = pr.merged
+    ? [options.mergedBefore, pr.merged_at, 'merged']
+    : [options.closedBefore, pr.closed_at, 'closed'];
+  if (!limit || (!pr.merged && pr.state !== 'closed')) {
+    return null;
+  }
+
+  if (!eventDate) {
+    return `${verb} date unknown, keeping for the grace period`;
+  }
+
+  const { cutoff, relative } = duration.parseCutoff(limit, now);
+  const waitMs = new Date(eventDate).getTime() - cutoff.getTime();
+  if (waitMs <= 0) {
+    return null;
+  }
+
+  return relative
+    ? `${duration.formatDuration(waitMs)} left in grace period`
+    : `${verb} after ${limit}`;
+}
+
 /**
  * Validate that a branch is safe to delete
  */
-function isBranchSafeToDelete(branchName, currentBranch, protectedBranches = ['main', 'master', 'develop', 'dev']) {
+function isBranchSafeToDelete(branchName, currentBranch, protectedPatterns = protection.DEFAULT_PROTECTED_PATTERNS) {
   // Don't delete current branch
   if (branchName === currentBranch) {
     return false;
   }
 
   // Don't delete protected branches
-  if (protectedBranches.includes(branchName)) {
+  if (protection.isProtectedBranch(branchName, protectedPatterns)) {
     return false;
   }
 
@@ -149,94 +523,306 @@ function isBranchSafeToDelete(branchName, currentBranch, protectedBranches = ['m
 }
 
 /**
- * Group branches by their PR status using batch fetching for better performance
+ * Get the date to fetch PRs from: the oldest local commit date minus a buffer
  */
-async function groupBranchesByPRStatus(octokit, repoInfo, branches) {
-  const groups = {
-    merged: [],
-    closed: [],
-    open: [],
-    noPR: [],
-    error: []
-  };
+async function getSearchSince(branches, bufferDays = DEFAULT_SEARCH_BUFFER_DAYS, log = console.log) {
+  // Get the oldest commit date among all branches to limit PR fetching
+  log('🔍 Analyzing local branch commit dates...');
+  const oldestCommitDate = await gitOps.getOldestLocalCommitDate(branches);
 
-  try {
-    // Get the oldest commit date among all branches to limit PR fetching
-    console.log('🔍 Analyzing local branch commit dates...');
-    const oldestCommitDate = await gitOps.getOldestLocalCommitDate(branches);
+  // Add buffer time to account for clock skew, rebases, etc.
+  const searchSince = new Date(oldestCommitDate.getTime() - (bufferDays * 24 * 60 * 60 * 1000));
+
+  log(`📡 Fetching PRs since ${searchSince.toISOString().split('T')[0]} (oldest local commit: ${oldestCommitDate.toISOString().split('T')[0]} + ${bufferDays}d buffer)...`);
 
-    // Add buffer time to account for clock skew, rebases, etc.
-    const bufferDays = 30;
-    const searchSince = new Date(oldestCommitDate.getTime() - (bufferDays * 24 * 60 * 60 * 1000));
+  return searchSince;
+}
+
+/**
+ * Find PRs for branches with the REST API: one time-filtered listing of all PRs,
+ * then a details request per matched branch to get the 'merged' property
+ */
+async function resolvePullRequestsWithRest(octokit, repoInfo, branches, options = {}) {
+  const searchSince = options.searchSince || await getSearchSince(branches, options.searchBufferDays, getLog(options));
 
-    console.log(`📡 Fetching PRs since ${searchSince.toISOString().split('T')[0]} (oldest local commit: ${oldestCommitDate.toISOString().split('T')[0]} + ${bufferDays}d buffer)...`);
+  // Fetch PRs with time-based filtering
+  const allPRs = await githubApi.getAllPullRequests(
+    octokit,
+    repoInfo.owner,
+    repoInfo.name,
+    { since: searchSince.toISOString() }
+  );
 
-    // Fetch PRs with time-based filtering
-    const allPRs = await githubApi.getAllPullRequests(
+  // Create a lookup map: head owner and branch name -> every PR from that branch
+  const branchToPRMap = new Map();
+  allPRs.forEach(pr => {
+    const key = getHeadKey(pr.head.label.split(':')[0], pr.head.ref);
+    branchToPRMap.set(key, [...(branchToPRMap.get(key) || []), pr]);
+  });
+  const headOwner = getHeadRepository(repoInfo).owner;
+
+  getLog(options)(`✅ Found ${allPRs.length} recent PRs (time-filtered), processing ${branches.length} branches...`);
+
+  // Process each branch with local lookup, fetching details only when needed
+  return mapBranches(branches, options, async (branch) => {
+    try {
+      // Fetch detailed PR info to get the 'merged' property
+      return await choosePullRequestWithDetails(octokit, repoInfo, branchToPRMap.get(getHeadKey(headOwner, branch)) || []);
+    } catch (error) {
+      return { pr: null, error: error.message };
+    }
+  });
+}
+
+/**
+ * Find the PR for each branch on GitHub
+ *
+ * Uses a batched GraphQL lookup by default, falls back to the REST batch listing when
+ * GraphQL is not available, and to individual branch lookups when that fails too.
+ * Returns a Map of branch name -> { pr, prs, error }: prs holds every PR from the branch and pr
+ * the one chosen by choosePullRequest, or null when no PR was found.
+ */
+async function resolvePullRequestsFromApi(octokit, repoInfo, branches, options = {}) {
+  try {
+    getLog(options)(`📡 Looking up PRs for ${branches.length} branches with GraphQL...`);
+    const prsByRef = await githubApi.getPullRequestsByHeadRefs(
       octokit,
       repoInfo.owner,
       repoInfo.name,
-      { since: searchSince.toISOString() }
+      branches
     );
 
-    // Create a lookup map: branch name -> PR for O(1) lookups
-    const branchToPRMap = new Map();
-    allPRs.forEach(pr => {
-      branchToPRMap.set(pr.head.ref, pr);
+    const resolved = new Map();
+    branches.forEach(branch => {
+      const prs = (prsByRef.get(branch) || []).filter(pr => isPRFromBranch(pr, repoInfo, branch));
+      resolved.set(branch, choosePullRequest(prs));
     });
-
-    console.log(`✅ Found ${allPRs.length} recent PRs (time-filtered), processing ${branches.length} branches...`);
-
-    // Now process each branch with local lookup, fetching details only when needed
-    for (const branch of branches) {
-      try {
-        const basicPR = branchToPRMap.get(branch);
-
-        if (!basicPR) {
-          groups.noPR.push({ branch, pr: null });
-        } else {
-          // Fetch detailed PR info to get the 'merged' property
-          const detailedPR = await githubApi.getPullRequestDetails(
-            octokit,
-            repoInfo.owner,
-            repoInfo.name,
-            basicPR.number
-          );
-
-          if (detailedPR.merged) {
-            groups.merged.push({ branch, pr: detailedPR });
-          } else if (detailedPR.state === 'closed') {
-            groups.closed.push({ branch, pr: detailedPR });
-          } else if (detailedPR.state === 'open') {
-            groups.open.push({ branch, pr: detailedPR });
-          }
-        }
-      } catch (error) {
-        groups.error.push({ branch, error: error.message });
-      }
+    return resolved;
+  } catch (error) {
+    if (error instanceof concurrency.CancelledError) {
+      throw error;
     }
+    console.warn(`⚠️  GraphQL lookup failed (${error.message}), falling back to the REST API...`);
+  }
+
+  try {
+    return await resolvePullRequestsWithRest(octokit, repoInfo, branches, options);
   } catch (error) {
+    // A cancelled run must stop here instead of starting the individual lookups
+    if (error instanceof concurrency.CancelledError) {
+      throw error;
+    }
     // Fallback to the original method if batch fetching fails
     console.warn(`⚠️  Batch fetching failed (${error.message}), falling back to individual branch lookup...`);
+  }
 
-    for (const branch of branches) {
-      try {
-        const pr = await findPRForBranch(octokit, repoInfo, branch);
-
-        if (!pr) {
-          groups.noPR.push({ branch, pr: null });
-        } else if (pr.merged) {
-          groups.merged.push({ branch, pr });
-        } else if (pr.state === 'closed') {
-          groups.closed.push({ branch, pr });
-        } else if (pr.state === 'open') {
-          groups.open.push({ branch, pr });
-        }
-      } catch (error) {
-        groups.error.push({ branch, error: error.message });
+  return mapBranches(branches, options, async (branch) => {
+    try {
+      return await findPullRequestsForBranch(octokit, repoInfo, branch);
+    } catch (error) {
+      return { pr: null, error: error.message };
+    }
+  });
+}
+
+/**
+ * Find the PR for each branch, using the on-disk PR cache unless options.cache is false
+ *
+ * The cache is refreshed with a conditional request first; branches without a cached PR
+ * are looked up on GitHub and the results are added to the cache.
+ * options.refreshCache discards the existing cache and rebuilds it.
+ * Returns a Map of branch name -> { pr, prs, error }: prs holds every PR from the branch and pr
+ * the one chosen by choosePullRequest, or null when no PR was found.
+ */
+async function resolvePullRequests(octokit, repoInfo, branches, options = {}) {
+  if (options.cache === false) {
+    return resolvePullRequestsFromApi(octokit, repoInfo, branches, options);
+  }
+
+  const cache = options.refreshCache
+    ? prCache.createEmptyCache()
+    : prCache.loadCache(repoInfo.owner, repoInfo.name, repoInfo.host);
+
+  try {
+    const searchSince = options.searchSince || await getSearchSince(branches, options.searchBufferDays, getLog(options));
+    const fetched = await prCache.refreshCache(octokit, repoInfo.owner, repoInfo.name, cache, searchSince.toISOString());
+    getLog(options)(`💾 PR cache refreshed (${fetched} updated PRs fetched)`);
+  } catch (error) {
+    if (error instanceof concurrency.CancelledError) {
+      throw error;
+    }
+    console.warn(`⚠️  PR cache refresh failed (${error.message}), looking up PRs without the cache...`);
+    return resolvePullRequestsFromApi(octokit, repoInfo, branches, options);
+  }
+
+  const resolved = new Map();
+  const uncached = [];
+  branches.forEach(branch => {
+    const prs = prCache.getPullRequestsForBranch(cache, branch, getHeadRepository(repoInfo).owner);
+    if (prs.length > 0) {
+      resolved.set(branch, choosePullRequest(prs));
+    } else {
+      uncached.push(branch);
+    }
+  });
+
+  if (uncached.length > 0) {
+    const fromApi = await resolvePullRequestsFromApi(octokit, repoInfo, uncached, options);
+    fromApi.forEach((result, branch) => {
+      resolved.set(branch, result);
+      if (result.prs && result.prs.length > 0) {
+        prCache.addPullRequests(cache, result.prs);
       }
+    });
+  }
+
+  prCache.saveCache(repoInfo.owner, repoInfo.name, cache, repoInfo.host);
+  return resolved;
+}
+
+/**
+ * Check whether a branch's PR may be looked up by the name of the remote branch it tracks
+ *
+ * A branch started from origin/main tracks main, so the default branch, protected branches
+ * and branches of remotes other than the PR head repository's are never used.
+ */
+function isUpstreamLookupUsable(branch, upstream, headRemote, options = {}) {
+  return Boolean(upstream) &&
+    upstream.ref !== branch &&
+    upstream.remote === headRemote &&
+    upstream.ref !== options.defaultBranchName &&
+    !protection.isProtectedBranch(upstream.ref, options.protectedPatterns || protection.DEFAULT_PROTECTED_PATTERNS);
+}
+
+/**
+ * Find the PR for each local branch and record how it was matched
+ *
+ * A branch is looked up by the name of the remote branch it tracks (see
+ * isUpstreamLookupUsable), then by its local name, and finally by its tip commit with the
+ * "pull requests associated with a commit" API. Returns a Map of branch name ->
+ * { pr, prs, error, matchedBy }, where matchedBy is { method: 'upstream'|'name'|'sha', ref }
+ * for matched branches.
+ */
+async function matchPullRequests(octokit, repoInfo, branches, options = {}) {
+  const upstreams = await gitOps.getUpstreamBranches();
+  const headRemote = await findRemoteForRepository({ host: repoInfo.host, ...getHeadRepository(repoInfo) }) ||
+    options.remoteName || 'origin';
+  const lookups = new Map(branches.map(branch => {
+    const upstream = upstreams.get(branch);
+    const refs = isUpstreamLookupUsable(branch, upstream, headRemote, options)
+      ? [{ method: 'upstream', ref: upstream.ref }, { method: 'name', ref: branch }]
+      : [{ method: 'name', ref: branch }];
+    return [branch, refs];
+  }));
+
+  // Upstream names are not local branches, so the PR listing window comes from the local ones
+  const refNames = [...new Set([...lookups.values()].flat().map(({ ref }) => ref))];
+  const searchSince = refNames.length > branches.length
+    ? await getSearchSince(branches, options.searchBufferDays, getLog(options))
+    : undefined;
+  const resolved = await resolvePullRequests(octokit, repoInfo, refNames, { ...options, searchSince });
+
+  const matched = new Map();
+  const unmatched = [];
+  branches.forEach(branch => {
+    const results = lookups.get(branch).map(lookup => ({ lookup, ...resolved.get(lookup.ref) }));
+    const found = results.find(({ pr }) => pr);
+    const failed = results.find(({ error }) => error);
+
+    if (found) {
+      matched.set(branch, { pr: found.pr, prs: found.prs || [found.pr], matchedBy: found.lookup });
+    } else if (failed) {
+      matched.set(branch, { pr: null, error: failed.error });
+    } else {
+      unmatched.push(branch);
+    }
+  });
+
+  if (unmatched.length > 0) {
+    getLog(options)(`📡 Looking up PRs by commit for ${unmatched.length} unmatched branches...`);
+  }
+  const headOwner = getHeadRepository(repoInfo).owner.toLowerCase();
+  const matchedBySha = await mapBranches(unmatched, options, async (branch) => {
+    try {
+      const sha = await gitOps.getBranchCommit(branch);
+      const prs = await githubApi.getPullRequestsForCommit(octokit, repoInfo.owner, repoInfo.name, sha);
+      // A commit that a squash or merge created on the base branch is not the branch's own work
+      const candidates = choosePullRequest(prs.filter(candidate =>
+        candidate.merge_commit_sha !== sha &&
+        (candidate.head.label || '').split(':')[0].toLowerCase() === headOwner
+      ));
+      return candidates.pr
+        ? { ...candidates, matchedBy: { method: 'sha', ref: sha.slice(0, 7) } }
+        : { pr: null, prs: [] };
+    } catch (error) {
+      return { pr: null, error: error.message };
     }
+  });
+  matchedBySha.forEach((result, branch) => matched.set(branch, result));
+
+  return matched;
+}
+
+/**
+ * Format how a branch was matched to its PR (e.g. "via upstream jan/fix-login")
+ */
+function formatMatchMethod(matchedBy) {
+  if (matchedBy.method === 'upstream') {
+    return `via upstream ${matchedBy.ref}`;
+  }
+  if (matchedBy.method === 'sha') {
+    return `via commit ${matchedBy.ref}`;
   }
+  return 'via name';
+}
+
+/**
+ * Group branches by their PR status using batch fetching for better performance
+ */
+async function groupBranchesByPRStatus(octokit, repoInfo, branches, options = {}) {
+  const groups = {
+    merged: [],
+    diverged: [],
+    closed: [],
+    open: [],
+    noPR: [],
+    error: []
+  };
+
+  const resolved = await matchPullRequests(octokit, repoInfo, branches, options);
+
+  // Check merged branches for local commits concurrently, then group them in branch order
+  const evaluated = await mapBranches(branches, options, async (branch) => {
+    const { pr, error } = resolved.get(branch);
+    if (error) {
+      return { error };
+    }
+
+    try {
+      const extraCommits = pr && pr.merged
+        ? await countCommitsNotInPR(octokit, repoInfo, branch, pr)
+        : 0;
+      return { pr, extraCommits };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  evaluated.forEach(({ pr, extraCommits, error }, branch) => {
+    if (error) {
+      groups.error.push({ branch, error });
+    } else if (!pr) {
+      groups.noPR.push({ branch, pr: null });
+    } else if (pr.merged && extraCommits !== 0) {
+      groups.diverged.push({ branch, pr, extraCommits });
+    } else if (pr.merged) {
+      groups.merged.push({ branch, pr });
+    } else if (pr.state === 'closed') {
+      groups.closed.push({ branch, pr });
+    } else if (pr.state === 'open') {
+      groups.open.push({ branch, pr });
+    }
+  });
 
   return groups;
 }
@@ -246,18 +832,29 @@ async function groupBranchesByPRStatus(octokit, repoInfo, branches) {
  */
 function filterBranchesForDeletion(branchGroups, options, currentBranch) {
   const branchesToDelete = [];
+  const deletable = (branch, pr) => isBranchSafeToDelete(branch, currentBranch, options.protectedPatterns) &&
+    !getFilterMismatch(pr, options) &&
+    !getGracePeriodWait(pr, options);
 
   if (options.merged) {
     branchGroups.merged.forEach(({ branch, pr }) => {
-      if (isBranchSafeToDelete(branch, currentBranch)) {
+      if (deletable(branch, pr)) {
         branchesToDelete.push({ branch, pr, reason: 'merged' });
       }
     });
   }
 
+  if (options.merged && options.includeDiverged) {
+    branchGroups.diverged.forEach(({ branch, pr, extraCommits }) => {
+      if (deletable(branch, pr)) {
+        branchesToDelete.push({ branch, pr, reason: 'diverged', extraCommits });
+      }
+    });
+  }
+
   if (options.closed) {
     branchGroups.closed.forEach(({ branch, pr }) => {
-      if (isBranchSafeToDelete(branch, currentBranch)) {
+      if (deletable(branch, pr)) {
         branchesToDelete.push({ branch, pr, reason: 'closed' });
       }
     });
@@ -267,128 +864,533 @@ function filterBranchesForDeletion(branchGroups, options, currentBranch) {
 }
 
 /**
- * Optimized function to find branches to delete using batch PR fetching
+ * Build the status entry for a branch with a PR, checking merged branches for local commits
+ *
+ * Branches matched by their upstream are checked for closed PRs too, since the upstream name
+ * alone does not show that the local commits belong to the PR.
+ */
+async function evaluateBranch(octokit, repoInfo, branch, pr, options, matchedBy = null) {
+  const extraCommits = pr.merged || (pr.state === 'closed' && matchedBy && matchedBy.method === 'upstream')
+    ? await countCommitsNotInPR(octokit, repoInfo, branch, pr)
+    : 0;
+  const diverged = extraCommits !== 0;
+  const qualifies = matchesDeletionCriteria(pr, options, extraCommits);
+  const filteredOut = qualifies ? getFilterMismatch(pr, options) : null;
+  const gracePeriod = qualifies && !filteredOut ? getGracePeriodWait(pr, options) : null;
+  const shouldDelete = qualifies && !filteredOut && !gracePeriod;
+
+  let status;
+  let reason;
+  if (diverged) {
+    status = `${pr.merged ? 'diverged after merge' : `diverged from ${pr.state}`} PR #${pr.number} - "${pr.title}" (${formatExtraCommits(extraCommits)})`;
+    reason = 'diverged';
+  } else {
+    status = `${pr.merged ? 'merged' : pr.state} PR #${pr.number} - "${pr.title}"`;
+    reason = pr.merged ? 'merged' : pr.state;
+  }
+  if (hasPullRequestFilters(options)) {
+    status = `${status} [${formatFilterFields(pr, options)}]`;
+  }
+  if (filteredOut) {
+    status = `${status} - skipped: ${filteredOut}`;
+  }
+  if (gracePeriod) {
+    status = `${status} - ${gracePeriod}`;
+  }
+
+  const verification = shouldDelete ? await verifyInHistory(branch, pr, options, repoInfo) : null;
+
+  return { branch, pr, status, shouldDelete, reason, extraCommits, diverged, filteredOut, gracePeriod, verification };
+}
+
+/**
+ * Optimized function to find branches to delete using batched PR lookups
  * This is more efficient than the groupBranchesByPRStatus + filterBranchesForDeletion approach
  */
 async function findBranchesToDelete(octokit, repoInfo, branches, options, currentBranch) {
   const branchesToDelete = [];
   const branchStatus = [];
 
-  try {
-    // Get the oldest commit date among all branches to limit PR fetching
-    console.log('🔍 Analyzing local branch commit dates...');
-    const oldestCommitDate = await gitOps.getOldestLocalCommitDate(branches);
+  const resolved = await matchPullRequests(octokit, repoInfo, branches, options);
 
-    // Add buffer time to account for clock skew, rebases, etc.
-    const bufferDays = 30;
-    const searchSince = new Date(oldestCommitDate.getTime() - (bufferDays * 24 * 60 * 60 * 1000));
+  // Evaluate the branches concurrently, then collect the results in branch order
+  const evaluated = await mapBranches(branches, options, async (branch) => {
+    const { pr, prs, error, matchedBy } = resolved.get(branch);
 
-    console.log(`📡 Fetching PRs since ${searchSince.toISOString().split('T')[0]} (oldest local commit: ${oldestCommitDate.toISOString().split('T')[0]} + ${bufferDays}d buffer)...`);
+    try {
+      if (error) {
+        throw new Error(error);
+      }
 
-    // Fetch PRs with time-based filtering
-    const allPRs = await githubApi.getAllPullRequests(
-      octokit,
-      repoInfo.owner,
-      repoInfo.name,
-      { since: searchSince.toISOString() }
-    );
+      if (!pr) {
+        return { branch, pr: null, status: 'No PR found' };
+      }
 
-    // Create a lookup map: branch name -> PR for O(1) lookups
-    const branchToPRMap = new Map();
-    allPRs.forEach(pr => {
-      branchToPRMap.set(pr.head.ref, pr);
-    });
+      const result = await evaluateBranch(octokit, repoInfo, branch, pr, options, matchedBy);
+      result.matchedBy = matchedBy;
+      result.prs = prs;
+      const notes = [formatMatchMethod(matchedBy)];
+      if (prs.length > 1) {
+        // The status names one PR, so list the others that were considered
+        notes.push(`PRs ${prs.map(({ number }) => `#${number}`).join(', ')}`);
+      }
+      result.status = `${result.status} (${notes.join(', ')})`;
+      return result;
+    } catch (error) {
+      return {
+        branch,
+        pr: null,
+        status: `Error: ${error.message}`,
+        shouldDelete: false,
+        error: error.message
+      };
+    }
+  });
 
-    console.log(`✅ Found ${allPRs.length} recent PRs (time-filtered), processing ${branches.length} branches...`);
+  evaluated.forEach((result, branch) => {
+    branchStatus.push(result);
 
-    // Process each branch with local lookup, fetching details only when needed
-    for (const branch of branches) {
-      try {
-        const basicPR = branchToPRMap.get(branch);
+    if (result.shouldDelete && isBranchSafeToDelete(branch, currentBranch, options.protectedPatterns)) {
+      branchesToDelete.push({
+        branch,
+        pr: result.pr,
+        reason: result.reason,
+        extraCommits: result.extraCommits,
+        verification: result.verification
+      });
+    }
+  });
 
-        if (!basicPR) {
-          branchStatus.push({ branch, pr: null, status: 'No PR found' });
-          continue;
-        }
+  return { branchesToDelete, branchStatus };
+}
 
-        // Fetch detailed PR info to get the 'merged' property
-        const detailedPR = await githubApi.getPullRequestDetails(
-          octokit,
-          repoInfo.owner,
-          repoInfo.name,
-          basicPR.number
-        );
+/**
+ * Determine from git history alone whether a branch has been merged into the default branch
+ *
+ * Detects regular merges and fast-forwards (ancestry), rebase merges (every commit has a
+ * patch-equivalent commit upstream) and squash merges (the whole branch squashed into one
+ * commit is patch-equivalent to an upstream commit). Returns { merged, method, extraCommits }.
+ */
+async function detectLocalMerge(branchName, defaultBranch) {
+  if (await gitOps.isAncestor(branchName, defaultBranch)) {
+    return { merged: true, method: 'merge', extraCommits: 0 };
+  }
 
-        const shouldDelete = shouldDeleteBranch(detailedPR, options);
-        const status = detailedPR.merged ? 'merged' : detailedPR.state;
+  const cherry = await gitOps.getCherryStatus(defaultBranch, branchName);
+  const applied = cherry.filter(commit => commit.applied).length;
+  if (applied === cherry.length) {
+    return { merged: true, method: 'rebase', extraCommits: 0 };
+  }
 
-        branchStatus.push({
-          branch,
-          pr: detailedPR,
-          status: `${status} PR #${detailedPR.number} - "${detailedPR.title}"`,
-          shouldDelete
-        });
+  const mergeBase = await gitOps.getMergeBase(defaultBranch, branchName);
+  const squashCommit = await gitOps.createSquashCommit(branchName, mergeBase);
+  const squashCherry = await gitOps.getCherryStatus(defaultBranch, squashCommit);
+  if (squashCherry.length > 0 && squashCherry.every(commit => commit.applied)) {
+    return { merged: true, method: 'squash', extraCommits: 0 };
+  }
 
-        if (shouldDelete && isBranchSafeToDelete(branch, currentBranch)) {
-          const reason = detailedPR.merged ? 'merged' : 'closed';
-          branchesToDelete.push({ branch, pr: detailedPR, reason });
-        }
-      } catch (error) {
+  // Some commits were rebase-merged but others were added afterwards
+  if (applied > 0) {
+    return { merged: true, method: 'rebase', extraCommits: cherry.length - applied };
+  }
+
+  return { merged: false, method: null, extraCommits: 0 };
+}
+
+/**
+ * Find branches to delete using only the local git history (no GitHub access)
+ *
+ * Produces the same { branchesToDelete, branchStatus } shape as findBranchesToDelete.
+ * Entries have no PR; instead `localMerge` records the detection method and target branch.
+ * Only merged branches can be detected this way.
+ */
+async function findBranchesToDeleteLocally(branches, options, currentBranch, defaultBranch) {
+  const branchesToDelete = [];
+  const branchStatus = [];
+  const mergedRecord = { state: 'closed', merged: true };
+
+  getLog(options)(`🔍 Comparing local branches with ${defaultBranch}...`);
+
+  for (const branch of branches) {
+    try {
+      const { merged, method, extraCommits } = await detectLocalMerge(branch, defaultBranch);
+      const title = await gitOps.getCommitSubject(branch);
+
+      if (!merged) {
         branchStatus.push({
           branch,
           pr: null,
-          status: `Error: ${error.message}`,
-          shouldDelete: false
+          status: `not merged into ${defaultBranch} - "${title}"`,
+          shouldDelete: false,
+          title
         });
+        continue;
       }
+
+      const localMerge = { method, target: defaultBranch };
+      const diverged = extraCommits !== 0;
+      const shouldDelete = shouldDeleteBranch(mergedRecord, options, extraCommits);
+      const status = diverged
+        ? `diverged after merge into ${defaultBranch} (${method}) - "${title}" (${formatExtraCommits(extraCommits)})`
+        : `merged into ${defaultBranch} (${method}) - "${title}"`;
+      const reason = diverged ? 'diverged' : 'merged';
+
+      branchStatus.push({ branch, pr: null, status, shouldDelete, reason, extraCommits, diverged, localMerge, title });
+
+      if (shouldDelete && isBranchSafeToDelete(branch, currentBranch, options.protectedPatterns)) {
+        branchesToDelete.push({ branch, pr: null, reason, extraCommits, localMerge });
+      }
+    } catch (error) {
+      branchStatus.push({
+        branch,
+        pr: null,
+        status: `Error: ${error.message}`,
+        shouldDelete: false,
+        error: error.message
+      });
     }
-  } catch (error) {
-    // Fallback to the original method if batch fetching fails
-    console.warn(`⚠️  Batch fetching failed (${error.message}), falling back to individual branch lookup...`);
+  }
 
-    for (const branch of branches) {
-      try {
-        const pr = await findPRForBranch(octokit, repoInfo, branch);
+  return { branchesToDelete, branchStatus };
+}
+
+/**
+ * Count the commits of a gone branch that would be lost with it
+ *
+ * Merged PRs are checked for extra commits before (entry.diverged) and open PRs keep the branch,
+ * so they count as 0. For a closed PR these are the commits on top of the PR head, and without
+ * a PR the commits that are on no remote.
+ */
+async function countGoneBranchUnpushedCommits(entry, options) {
+  if (entry.pr && (entry.pr.merged || entry.pr.state === 'open')) {
+    return 0;
+  }
+  if (entry.pr && entry.pr.head.sha && await gitOps.commitExists(entry.pr.head.sha)) {
+    return gitOps.countCommitsNotIn(entry.branch, entry.pr.head.sha);
+  }
+  return gitOps.countUnpushedCommits(entry.branch, options.defaultBranchRef);
+}
+
+/**
+ * Add the branches whose upstream no longer exists to branchesToDelete
+ *
+ * Branches with an open PR, branches whose PR lookup failed (they might have an open PR),
+ * branches the PR filters skip and branches in the grace period of their merged or closed PR are
+ * kept. So are diverged branches, branches with commits on top of their closed PR and branches
+ * without a PR that have commits on no remote, unless options.includeDiverged is set. Updates the
+ * status of the affected entries in branchStatus.
+ */
+async function addGoneBranches(branchStatus, branchesToDelete, options, currentBranch) {
+  const goneUpstreams = new Map((await gitOps.getGoneBranches()).map(({ branch, upstream }) => [branch, upstream]));
+  const candidates = new Set(branchesToDelete.map(({ branch }) => branch));
+
+  for (const entry of branchStatus) {
+    const upstream = goneUpstreams.get(entry.branch);
+    if (!upstream || candidates.has(entry.branch)) {
+      continue;
+    }
+
+    entry.gone = upstream;
+    entry.status = `${entry.status} - upstream ${upstream} is gone`;
+    if (entry.error) {
+      continue;
+    }
+
+    // Commits that are neither in the PR nor on a remote would be lost
+    const unpushedCommits = await countGoneBranchUnpushedCommits(entry, options).catch(() => null);
+    if (unpushedCommits !== 0) {
+      entry.unpushedCommits = unpushedCommits;
+      entry.status = unpushedCommits === null
+        ? `${entry.status} - could not check for unpushed commits`
+        : `${entry.status} - ${unpushedCommits} commit${unpushedCommits === 1 ? '' : 's'} not ${entry.pr ? 'in the PR' : 'on any remote'}`;
+    }
+
+    const filteredOut = entry.pr && entry.pr.state === 'open' ? null : getFilterMismatch(entry.pr, options);
+    if (filteredOut && !entry.filteredOut) {
+      entry.filteredOut = filteredOut;
+      entry.status = `${entry.status} - skipped: ${filteredOut}`;
+    }
+
+    // GitHub deletes the head branch on merge, so the grace period applies to gone branches too
+    const gracePeriod = entry.pr && !filteredOut ? getGracePeriodWait(entry.pr, options) : null;
+    if (gracePeriod && !entry.gracePeriod) {
+      entry.gracePeriod = gracePeriod;
+      entry.status = `${entry.status} - ${gracePeriod}`;
+    }
+
+    const unsafe = (entry.diverged || unpushedCommits !== 0) && !options.includeDiverged;
+    if ((entry.pr && entry.pr.state === 'open') || unsafe || filteredOut || gracePeriod) {
+      continue;
+    }
+
+    entry.shouldDelete = true;
+    entry.reason = 'gone';
+    if (isBranchSafeToDelete(entry.branch, currentBranch, options.protectedPatterns)) {
+      branchesToDelete.push({ branch: entry.branch, pr: entry.pr, reason: 'gone', gone: upstream, title: entry.title });
+    }
+  }
+
+  return branchesToDelete;
+}
+
+/**
+ * Collect the evidence used to judge a branch that has no PR, compared with the default branch (target)
+ */
+async function getStaleEvidence(branchName, defaultBranch) {
+  return {
+    target: defaultBranch,
+    lastCommitDate: await gitOps.getLastCommitDate(branchName),
+    contained: await gitOps.isAncestor(branchName, defaultBranch),
+    pushed: await gitOps.isBranchPushed(branchName),
+    uniqueCommits: await gitOps.countCommitsNotIn(branchName, defaultBranch),
+    unpushedCommits: await gitOps.countUnpushedCommits(branchName, defaultBranch)
+  };
+}
+
+/**
+ * Format stale-branch evidence (e.g. "last commit 5 months ago, 2 commits not in main, never pushed")
+ */
+function formatStaleEvidence(evidence, now = new Date()) {
+  const plural = count => `${count} commit${count === 1 ? '' : 's'}`;
+  const parts = [`last commit ${duration.formatAge(evidence.lastCommitDate, now)}`];
+
+  parts.push(evidence.contained
+    ? `contained in ${evidence.target}`
+    : `${plural(evidence.uniqueCommits)} not in ${evidence.target}`);
+  parts.push(evidence.pushed ? 'pushed' : 'never pushed');
+  if (evidence.unpushedCommits > 0) {
+    parts.push(`${plural(evidence.unpushedCommits)} unpushed`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Find the branches without a PR whose last commit is older than options.stale
+ *
+ * Updates the status of the no-PR entries in branchStatus with the evidence found for them.
+ * Branches with commits on no remote, or never pushed with commits not in the default branch,
+ * are kept unless options.includeDiverged is set. Stale branches are returned separately from
+ * the PR-based deletions so they can be confirmed on their own.
+ */
+async function findStaleBranches(branchStatus, options, currentBranch, defaultBranch, now = new Date()) {
+  const threshold = duration.parseDuration(options.stale);
+  const staleBranches = [];
+
+  getLog(options)(`🔍 Checking branches without a PR for commits older than ${options.stale}...`);
+
+  for (const entry of branchStatus) {
+    if (entry.pr || entry.error || entry.shouldDelete) {
+      continue;
+    }
 
-        if (!pr) {
-          branchStatus.push({ branch, pr: null, status: 'No PR found' });
-          continue;
+    try {
+      const evidence = await getStaleEvidence(entry.branch, defaultBranch);
+      const stale = now.getTime() - evidence.lastCommitDate.getTime() >= threshold;
+      const title = await gitOps.getCommitSubject(entry.branch);
+
+      entry.stale = evidence;
+      entry.title = title;
+      entry.status = `No PR found - ${stale ? 'stale' : 'recent'}: ${formatStaleEvidence(evidence, now)}`;
+
+      const filteredOut = stale ? getFilterMismatch(null, options) : null;
+      const unpushedWork = evidence.unpushedCommits > 0 || (!evidence.pushed && evidence.uniqueCommits > 0);
+      if (filteredOut) {
+        entry.filteredOut = filteredOut;
+        entry.status = `${entry.status} - skipped: ${filteredOut}`;
+      } else if (stale && unpushedWork && !options.includeDiverged) {
+        entry.unpushedCommits = evidence.unpushedCommits;
+      } else if (stale) {
+        entry.reason = 'stale';
+        entry.shouldDelete = true;
+        if (isBranchSafeToDelete(entry.branch, currentBranch, options.protectedPatterns)) {
+          staleBranches.push({ branch: entry.branch, pr: null, reason: 'stale', stale: evidence, title });
         }
+      }
+    } catch (error) {
+      entry.status = `No PR found - could not check whether it is stale: ${error.message}`;
+    }
+  }
 
-        const shouldDelete = shouldDeleteBranch(pr, options);
-        const status = pr.merged ? 'merged' : pr.state;
+  return staleBranches;
+}
 
-        branchStatus.push({
-          branch,
-          pr,
-          status: `${status} PR #${pr.number} - "${pr.title}"`,
-          shouldDelete
-        });
+/**
+ * Keep the branches that are checked out in another worktree, since git cannot delete them
+ *
+ * worktreeBranches maps each such branch to its worktree path. With options.removeWorktrees,
+ * a deletion candidate whose worktree is clean stays in its list with a `worktree` field, so
+ * the worktree is removed together with the branch; worktrees with uncommitted changes always
+ * keep their branch. Removes the kept branches from each list in candidateLists and updates
+ * the status of the affected entries in branchStatus.
+ */
+async function excludeWorktreeBranches(branchStatus, candidateLists, options, worktreeBranches) {
+  const kept = new Set();
+  const removable = new Set();
+
+  for (const entry of branchStatus) {
+    const worktree = worktreeBranches.get(entry.branch);
+    if (!worktree) {
+      continue;
+    }
+
+    entry.worktree = worktree;
+    if (!entry.shouldDelete) {
+      entry.status = `${entry.status} - checked out in ${worktree}`;
+      continue;
+    }
+
+    if (!options.removeWorktrees) {
+      entry.status = `${entry.status} - checked out in ${worktree}`;
+    } else if (await gitOps.hasUncommittedChanges(worktree).catch(() => true)) {
+      entry.status = `${entry.status} - checked out in ${worktree}, which has uncommitted changes`;
+    } else {
+      entry.status = `${entry.status} - checked out in ${worktree}, which will be removed`;
+      removable.add(entry.branch);
+      continue;
+    }
+
+    entry.shouldDelete = false;
+    entry.keptInWorktree = true;
+    kept.add(entry.branch);
+  }
+
+  candidateLists.forEach(candidates => {
+    const remaining = candidates.filter(({ branch }) => !kept.has(branch));
+    remaining
+      .filter(({ branch }) => removable.has(branch))
+      .forEach(candidate => {
+        candidate.worktree = worktreeBranches.get(candidate.branch);
+      });
+    candidates.splice(0, candidates.length, ...remaining);
+  });
+}
+
+/**
+ * Find the remote-tracking ref to remove together with a branch that is deleted, or null
+ *
+ * upstreams is the result of gitOps.getUpstreamBranches for the branches that still exist.
+ * Only the ref of the branch's own PR head branch, or of an upstream that is gone, is removed.
+ * A ref another local branch tracks, the remote's HEAD and the default branch (defaultBranchName)
+ * are always kept, so deleting a branch made with `git checkout -b feature origin/main` leaves
+ * origin/main alone.
+ */
+async function getRemovableTrackingRef({ branch, pr, reason }, upstreams, defaultBranchName = null) {
+  const upstream = upstreams.get(branch);
+  const trackingRef = upstream ? await gitOps.getUpstreamTrackingRef(branch) : null;
+  if (!trackingRef) {
+    return null;
+  }
+
+  const ownHead = Boolean(pr && pr.head && pr.head.ref === upstream.ref);
+  if (!ownHead && reason !== 'gone') {
+    return null;
+  }
+
+  const trackedElsewhere = [...upstreams].some(([other, { remote, ref }]) =>
+    other !== branch && remote === upstream.remote && ref === upstream.ref);
+  const remoteHead = await gitOps.getRemoteHeadRef(upstream.remote);
+  const defaultRef = defaultBranchName ? `refs/remotes/${upstream.remote}/${defaultBranchName}` : null;
+  if (trackedElsewhere || trackingRef === remoteHead || trackingRef === defaultRef) {
+    return null;
+  }
 
-        if (shouldDelete && isBranchSafeToDelete(branch, currentBranch)) {
-          const reason = pr.merged ? 'merged' : 'closed';
-          branchesToDelete.push({ branch, pr, reason });
+  return trackingRef;
+}
+
+/**
+ * Decide which PR head branches can also be deleted on GitHub
+ *
+ * Remote branches are deleted from the head repository (the fork in fork-based workflows).
+ * Adds a `remote` field ({ branch, shouldDelete, reason }) to each entry of branchesToDelete.
+ * Branches without a PR (e.g. found by --gone), branches in other repositories, the default
+ * branch, branches protected on GitHub or by protectedPatterns, branches GitHub has already
+ * deleted and branches whose tip is no longer the PR head commit are skipped.
+ */
+async function planRemoteDeletions(octokit, repoInfo, branchesToDelete, protectedPatterns = protection.DEFAULT_PROTECTED_PATTERNS) {
+  const headRepository = getHeadRepository(repoInfo);
+  const fullName = `${headRepository.owner}/${headRepository.name}`.toLowerCase();
+  let defaultBranch = null;
+  let protectedBranches = null;
+  let protectionError = null;
+
+  try {
+    const repository = await githubApi.getRepositoryInfo(octokit, headRepository.owner, headRepository.name);
+    defaultBranch = repository.default_branch;
+    protectedBranches = await githubApi.getProtectedBranches(octokit, headRepository.owner, headRepository.name);
+  } catch (error) {
+    protectionError = error.message;
+  }
+
+  for (const entry of branchesToDelete) {
+    if (!entry.pr) {
+      entry.remote = { branch: null, shouldDelete: false, reason: 'no PR' };
+      continue;
+    }
+
+    const remoteBranch = entry.pr.head.ref;
+    const headRepo = entry.pr.head.repo;
+
+    if (protectionError) {
+      entry.remote = { branch: remoteBranch, shouldDelete: false, reason: `could not verify branch protection (${protectionError})` };
+    } else if (!headRepo || headRepo.full_name.toLowerCase() !== fullName) {
+      entry.remote = { branch: remoteBranch, shouldDelete: false, reason: 'head branch is in another repository' };
+    } else if (remoteBranch === defaultBranch) {
+      entry.remote = { branch: remoteBranch, shouldDelete: false, reason: 'default branch' };
+    } else if (protectedBranches.includes(remoteBranch) || protection.isProtectedBranch(remoteBranch, protectedPatterns)) {
+      entry.remote = { branch: remoteBranch, shouldDelete: false, reason: 'protected branch' };
+    } else {
+      try {
+        const sha = await githubApi.getRemoteBranchSha(octokit, headRepository.owner, headRepository.name, remoteBranch);
+        if (!sha) {
+          entry.remote = { branch: remoteBranch, shouldDelete: false, reason: 'already deleted on GitHub' };
+        } else if (sha !== entry.pr.head.sha) {
+          // Commits pushed after the PR was merged or closed would be lost with the branch
+          entry.remote = { branch: remoteBranch, shouldDelete: false, reason: 'has commits not in the PR' };
+        } else {
+          entry.remote = { branch: remoteBranch, shouldDelete: true, reason: null };
         }
       } catch (error) {
-        branchStatus.push({
-          branch,
-          pr: null,
-          status: `Error: ${error.message}`,
-          shouldDelete: false
-        });
+        entry.remote = { branch: remoteBranch, shouldDelete: false, reason: error.message };
       }
     }
   }
 
-  return { branchesToDelete, branchStatus };
+  return branchesToDelete;
 }
 
 module.exports = {
+  DEFAULT_SEARCH_BUFFER_DAYS,
+  getHeadRepository,
+  isPRFromBranch,
+  resolvePRRepository,
+  resolveDefaultBranch,
+  verifyInHistory,
+  choosePullRequest,
+  findPullRequestsForBranch,
   findPRForBranch,
+  countCommitsNotInPR,
+  formatExtraCommits,
+  matchesDeletionCriteria,
+  hasPullRequestFilters,
+  getFilterMismatch,
+  formatFilterFields,
   shouldDeleteBranch,
+  getGracePeriodWait,
   getPRStatusSummary,
   isBranchSafeToDelete,
+  resolvePullRequests,
   groupBranchesByPRStatus,
   filterBranchesForDeletion,
-  findBranchesToDelete
+  matchPullRequests,
+  formatMatchMethod,
+  findBranchesToDelete,
+  detectLocalMerge,
+  findBranchesToDeleteLocally,
+  addGoneBranches,
+  formatStaleEvidence,
+  findStaleBranches,
+  excludeWorktreeBranches,
+  getRemovableTrackingRef,
+  planRemoteDeletions
 };
@@ -0,0 +1,81 @@
+// Number of branches whose PRs are resolved at the same time unless --concurrency says otherwise
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Error thrown when outstanding work is cancelled, e.g. with Ctrl+C
+ */
+class CancelledError extends Error {
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Call fn(item, index) for every item with at most `limit` calls running at once
+ *
+ * Resolves to the results in the order of items, whatever order the calls finish in. Once
+ * options.signal is aborted or a call fails, no further items are started; the returned
+ * promise settles after the running calls have finished, rejecting with a CancelledError or
+ * the first failure.
+ */
+async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (nextIndex < items.length && !failure) {
+      if (signal && signal.aborted) {
+        failure = failure || new CancelledError();
+        return;
+      }
+
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || DEFAULT_CONCURRENCY, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  if (failure) {
+    throw failure;
+  }
+  return results;
+}
+
+/**
+ * Run task(signal) with a signal that Ctrl+C (SIGINT) aborts
+ *
+ * While the task runs, the first Ctrl+C cancels outstanding work and lets running requests
+ * finish; a second one exits immediately. Ctrl+C behaves as usual again afterwards.
+ */
+async function withInterruptSignal(task) {
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(130);
+    }
+    console.error('\n⏹️  Cancelling, waiting for running requests to finish (press Ctrl+C again to quit)...');
+    controller.abort();
+  };
+
+  process.on('SIGINT', onInterrupt);
+  try {
+    return await task(controller.signal);
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  CancelledError,
+  mapWithConcurrency,
+  withInterruptSignal
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const gitOps = require('./git-operations');
+const reporter = require('./reporter');
+const branchMatcher = require('./branch-matcher');
+const concurrency = require('./concurrency');
+
+// Name of the config file read from the root of a repository
+const REPO_CONFIG_FILE_NAME = '.github-branch-cleaner.json';
+
+// Git config section holding repository settings (e.g. branchCleaner.merged)
+const GIT_CONFIG_SECTION = 'branchCleaner';
+
+// Settings that can be configured, keyed by the name of their command line option.
+// Lists from every level are combined; other values from a later level replace earlier ones.
+// Settings marked untrusted are refused in the committed repository config, so that a cloned
+// repository cannot make a run delete unpushed work, worktrees or branches on GitHub, point it at
+// another remote or skip the confirmation.
+const CONFIG_OPTIONS = {
+  merged: { type: 'boolean', default: false },
+  closed: { type: 'boolean', default: false },
+  gone: { type: 'boolean', default: false },
+  stale: { type: 'string', default: null },
+  mergedBefore: { type: 'string', default: null },
+  closedBefore: { type: 'string', default: null },
+  author: { type: 'string', default: null },
+  excludeLabel: { type: 'list', default: [] },
+  includeLabel: { type: 'list', default: [] },
+  base: { type: 'string', default: null },
+  excludeDrafts: { type: 'boolean', default: false },
+  includeDiverged: { type: 'boolean', default: false, untrusted: true },
+  removeWorktrees: { type: 'boolean', default: false, untrusted: true },
+  protect: { type: 'list', default: [] },
+  syncProtection: { type: 'boolean', default: false },
+  remoteName: { type: 'string', default: 'origin', untrusted: true },
+  remote: { type: 'boolean', default: false, untrusted: true },
+  format: { type: 'string', default: 'human', choices: ['human', ...reporter.MACHINE_READABLE_FORMATS] },
+  searchBufferDays: { type: 'number', default: branchMatcher.DEFAULT_SEARCH_BUFFER_DAYS },
+  concurrency: { type: 'number', default: concurrency.DEFAULT_CONCURRENCY },
+  force: { type: 'boolean', default: false, untrusted: true },
+  interactive: { type: 'boolean', default: false }
+};
+
+/**
+ * Get the path of the user-level config file
+ */
+function getUserConfigPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'github-branch-cleaner', 'config.json');
+}
+
+/**
+ * Validate a config value, converting the strings git config stores into the option's type
+ *
+ * With trusted set to false (the repository config), untrusted settings are rejected.
+ */
+function parseValue(key, value, source, trusted = true) {
+  const option = CONFIG_OPTIONS[key];
+  if (!option) {
+    throw new Error(`Unknown setting "${key}" in ${source}`);
+  }
+
+  if (option.untrusted && !trusted) {
+    throw new Error(`Invalid value for "${key}" in ${source}: only allowed in the user config, git config or on the command line`);
+  }
+
+  let parsed = value;
+  if (typeof value === 'string' && option.type === 'boolean') {
+    const normalized = value.toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(normalized)) {
+      parsed = true;
+    } else if (['false', 'no', 'off', '0'].includes(normalized)) {
+      parsed = false;
+    }
+  } else if (typeof value === 'string' && option.type === 'number' && value.trim() !== '') {
+    parsed = Number(value);
+  } else if (typeof value === 'string' && option.type === 'list') {
+    parsed = [value];
+  }
+
+  const valid = {
+    boolean: typeof parsed === 'boolean',
+    number: typeof parsed === 'number' && Number.isFinite(parsed) && parsed >= 0,
+    string: typeof parsed === 'string' && parsed.length > 0,
+    list: Array.isArray(parsed) && parsed.every(item => typeof item === 'string')
+  }[option.type];
+
+  if (!valid) {
+    throw new Error(`Invalid value for "${key}" in ${source}: expected ${option.type === 'list' ? 'a list of strings' : `a ${option.type}`}`);
+  }
+
+  if (option.choices && !option.choices.includes(parsed)) {
+    throw new Error(`Invalid value for "${key}" in ${source}: expected one of ${option.choices.join(', ')}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Read a JSON config file as a config level ({ source, values }), or null if it does not exist
+ *
+ * trusted is false for files that come with a repository; see parseValue.
+ */
+function readConfigFile(filePath, label, trusted = true) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const source = `${label} (${filePath})`;
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${source}: ${error.message}`);
+  }
+
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    throw new Error(`Failed to read ${source}: expected a JSON object`);
+  }
+
+  const values = {};
+  Object.entries(content).forEach(([key, value]) => {
+    values[key] = parseValue(key, value, source, trusted);
+  });
+
+  return { source, values };
+}
+
+/**
+ * Read the branchCleaner section of git config as a config level
+ *
+ * Git lowercases variable names, so they are matched to settings case-insensitively.
+ * Multi-valued keys (e.g. several branchCleaner.protect lines) add up to a list.
+ */
+async function readGitConfig() {
+  const source = 'git config';
+  const keysByLowercaseName = new Map(Object.keys(CONFIG_OPTIONS).map(key => [key.toLowerCase(), key]));
+  const values = {};
+
+  const entries = await gitOps.getConfigSection(GIT_CONFIG_SECTION);
+  entries.forEach(entry => {
+    const name = entry.key.substring(GIT_CONFIG_SECTION.length + 1);
+    const key = keysByLowercaseName.get(name) || name;
+    const value = parseValue(key, entry.value, `${source} (${GIT_CONFIG_SECTION}.${name})`);
+    values[key] = CONFIG_OPTIONS[key].type === 'list' ? [...(values[key] || []), ...value] : value;
+  });
+
+  return Object.keys(values).length > 0 ? { source, values } : null;
+}
+
+/**
+ * Load the config levels that apply in the current directory, lowest precedence first:
+ * the user config file, the repository's config file and the repository's git config
+ */
+async function loadConfigLevels() {
+  const levels = [readConfigFile(getUserConfigPath(), 'user config')];
+
+  if (gitOps.isGitRepository()) {
+    const repositoryRoot = await gitOps.getRepositoryRoot();
+    levels.push(readConfigFile(path.join(repositoryRoot, REPO_CONFIG_FILE_NAME), 'repository config', false));
+    levels.push(await readGitConfig());
+  }
+
+  return levels.filter(Boolean);
+}
+
+/**
+ * Merge the defaults, config levels and command line values into the effective configuration
+ *
+ * Returns { values, sources }, where sources maps each setting to the sources its value came from.
+ */
+function resolveConfig(levels, commandLineValues = {}) {
+  const values = {};
+  const sources = {};
+  Object.entries(CONFIG_OPTIONS).forEach(([key, option]) => {
+    values[key] = option.default;
+    sources[key] = ['default'];
+  });
+
+  [...levels, { source: 'command line', values: commandLineValues }].forEach(({ source, values: levelValues }) => {
+    Object.entries(levelValues).forEach(([key, value]) => {
+      if (CONFIG_OPTIONS[key].type === 'list') {
+        if (value.length === 0) {
+          return;
+        }
+        values[key] = [...values[key], ...value];
+        sources[key] = [...sources[key].filter(name => name !== 'default'), source];
+      } else {
+        values[key] = value;
+        sources[key] = [source];
+      }
+    });
+  });
+
+  return { values, sources };
+}
+
+module.exports = {
+  REPO_CONFIG_FILE_NAME,
+  CONFIG_OPTIONS,
+  getUserConfigPath,
+  parseValue,
+  readConfigFile,
+  readGitConfig,
+  loadConfigLevels,
+  resolveConfig
+};
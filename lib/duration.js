@@ -0,0 +1,89 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units accepted in durations, in days
+const UNITS = [
+  { names: ['d', 'day', 'days'], days: 1 },
+  { names: ['w', 'week', 'weeks'], days: 7 },
+  { names: ['m', 'mo', 'month', 'months'], days: 30 },
+  { names: ['y', 'year', 'years'], days: 365 }
+];
+
+/**
+ * Parse a duration such as "90d", "12w", "6m", "1y" or "3 months" into milliseconds
+ *
+ * Months count as 30 days and years as 365 days.
+ */
+function parseDuration(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+)\s*([a-z]+)$/);
+  const unit = match && UNITS.find(candidate => candidate.names.includes(match[2]));
+  if (!unit) {
+    throw new Error(`Invalid duration "${value}" (use e.g. 30d, 12w, 6m or 1y)`);
+  }
+
+  return Number(match[1]) * unit.days * DAY_MS;
+}
+
+/**
+ * Parse a cutoff given as a date ("2024-05-01") or as a duration before now ("7d")
+ *
+ * Returns { cutoff, relative }, where relative is true for durations.
+ */
+function parseCutoff(value, now = new Date()) {
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) && !Number.isNaN(new Date(text).getTime())) {
+    return { cutoff: new Date(text), relative: false };
+  }
+
+  try {
+    return { cutoff: new Date(now.getTime() - parseDuration(text)), relative: true };
+  } catch (error) {
+    throw new Error(`Invalid date or duration "${value}" (use e.g. 2024-05-01, 7d or 2w)`);
+  }
+}
+
+/**
+ * Format the time since a date as a short relative age (e.g. "3 days ago")
+ */
+function formatAge(date, now = new Date()) {
+  if (!date || isNaN(date.getTime())) {
+    return 'unknown';
+  }
+
+  const days = Math.floor((now.getTime() - date.getTime()) / DAY_MS);
+  const units = [
+    { name: 'year', days: 365 },
+    { name: 'month', days: 30 },
+    { name: 'week', days: 7 },
+    { name: 'day', days: 1 }
+  ];
+
+  for (const unit of units) {
+    const count = Math.floor(days / unit.days);
+    if (count >= 1) {
+      return `${count} ${unit.name}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+
+  return 'today';
+}
+
+/**
+ * Format a length of time in whole hours or days, rounding up (e.g. "5 hours", "3 days")
+ */
+function formatDuration(ms) {
+  const hours = Math.ceil(ms / (60 * 60 * 1000));
+  if (hours < 24) {
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+
+  const days = Math.ceil(ms / DAY_MS);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  DAY_MS,
+  parseDuration,
+  parseCutoff,
+  formatAge,
+  formatDuration
+};
@@ -1,13 +1,14 @@
-const { execSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { runGit, runGitSync, wrapGitError } = require('./git-runner');
 
 /**
  * Check if the current directory is a Git repository
  */
 function isGitRepository() {
   try {
-    execSync('git rev-parse --git-dir', { stdio: 'ignore' });
+    runGitSync(['rev-parse', '--git-dir']);
     return true;
   } catch (error) {
     return false;
@@ -19,10 +20,10 @@ function isGitRepository() {
  */
 async function getCurrentBranch() {
   try {
-    const result = execSync('git branch --show-current', { encoding: 'utf8' });
+    const result = await runGit(['branch', '--show-current']);
     return result.trim();
   } catch (error) {
-    throw new Error(`Failed to get current branch: ${error.message}`);
+    throw wrapGitError(error, `Failed to get current branch`);
   }
 }
 
@@ -31,13 +32,13 @@ async function getCurrentBranch() {
  */
 async function getLocalBranches() {
   try {
-    const result = execSync('git branch --format="%(refname:short)"', { encoding: 'utf8' });
+    const result = await runGit(['for-each-ref', '--format=%(refname:short)', 'refs/heads']);
     return result
       .split('\n')
       .map(branch => branch.trim())
       .filter(branch => branch.length > 0);
   } catch (error) {
-    throw new Error(`Failed to get local branches: ${error.message}`);
+    throw wrapGitError(error, `Failed to get local branches`);
   }
 }
 
@@ -48,46 +49,247 @@ async function deleteBranch(branchName) {
   try {
     // Use -D to force delete (equivalent to --delete --force)
     // This ensures we can delete branches even if they haven't been merged to current branch
-    execSync(`git branch -D "${branchName}"`, { encoding: 'utf8' });
+    await runGit(['branch', '-D', branchName]);
   } catch (error) {
-    throw new Error(`Failed to delete branch ${branchName}: ${error.message}`);
+    throw wrapGitError(error, `Failed to delete branch ${branchName}`);
   }
 }
 
 /**
- * Get repository information (owner and name) from git remote
+ * Get the remote-tracking ref a branch's upstream points to (e.g. refs/remotes/origin/feature),
+ * or null if it has no upstream on a remote or the ref no longer exists
  */
-async function getRepositoryInfo() {
+async function getUpstreamTrackingRef(branchName) {
   try {
-    // Get the remote URL
-    const remoteUrl = execSync('git config --get remote.origin.url', { encoding: 'utf8' }).trim();
+    const result = (await runGit(['rev-parse', '--symbolic-full-name', `${branchName}@{upstream}`])).trim();
+    return result.startsWith('refs/remotes/') ? result : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-    // Parse GitHub URL to extract owner and repo name
-    let owner, name;
+/**
+ * Get the remote-tracking ref a remote's HEAD points to (e.g. refs/remotes/origin/main), or null if it is not set
+ */
+async function getRemoteHeadRef(remoteName = 'origin') {
+  try {
+    return (await runGit(['symbolic-ref', '--quiet', `refs/remotes/${remoteName}/HEAD`])).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
 
-    if (remoteUrl.startsWith('git@github.com:')) {
-      // SSH format: git@github.com:owner/repo.git
-      const match = remoteUrl.match(/git@github\.com:([^\/]+)\/(.+)\.git$/);
-      if (match) {
-        owner = match[1];
-        name = match[2];
-      }
-    } else if (remoteUrl.startsWith('https://github.com/')) {
-      // HTTPS format: https://github.com/owner/repo.git
-      const match = remoteUrl.match(/https:\/\/github\.com\/([^\/]+)\/(.+?)(?:\.git)?$/);
-      if (match) {
-        owner = match[1];
-        name = match[2];
+/**
+ * Delete a ref (e.g. a remote-tracking ref) without touching the remote
+ */
+async function deleteRef(ref) {
+  try {
+    await runGit(['update-ref', '-d', ref]);
+  } catch (error) {
+    throw wrapGitError(error, `Failed to delete ${ref}`);
+  }
+}
+
+/**
+ * Fetch from a remote and prune remote-tracking refs of branches deleted there
+ */
+async function fetchAndPrune(remoteName = 'origin') {
+  try {
+    await runGit(['fetch', '--prune', '--quiet', remoteName], {
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+      timeout: 120000
+    });
+  } catch (error) {
+    throw wrapGitError(error, `Failed to fetch from ${remoteName}`);
+  }
+}
+
+/**
+ * Get the remote branch each local branch tracks, as a Map of branch -> { remote, ref }
+ *
+ * ref is the branch name on the remote (e.g. "jan/fix-login" for refs/heads/jan/fix-login).
+ * Branches without an upstream, or tracking another local branch, are left out.
+ */
+async function getUpstreamBranches() {
+  try {
+    const result = await runGit([
+      'for-each-ref',
+      '--format=%(refname:short)%09%(upstream:remotename)%09%(upstream:remoteref)',
+      'refs/heads'
+    ]);
+
+    const upstreams = new Map();
+    result.split('\n').forEach(line => {
+      const [branch, remote, ref] = line.split('\t');
+      if (branch && remote && remote !== '.' && ref && ref.startsWith('refs/heads/')) {
+        upstreams.set(branch, { remote, ref: ref.substring('refs/heads/'.length) });
       }
+    });
+    return upstreams;
+  } catch (error) {
+    throw wrapGitError(error, `Failed to get upstream branches`);
+  }
+}
+
+/**
+ * Get the local branches whose configured upstream no longer exists ("[gone]" in git branch -vv)
+ *
+ * Returns [{ branch, upstream }], where upstream is the short name of the missing ref.
+ */
+async function getGoneBranches() {
+  try {
+    const result = await runGit([
+      'for-each-ref',
+      '--format=%(refname:short)%09%(upstream:short)%09%(upstream:track)',
+      'refs/heads'
+    ]);
+
+    return result
+      .split('\n')
+      .map(line => line.split('\t'))
+      .filter(([branch, upstream, track]) => branch && upstream && track === '[gone]')
+      .map(([branch, upstream]) => ({ branch, upstream }));
+  } catch (error) {
+    throw wrapGitError(error, `Failed to find branches with a gone upstream`);
+  }
+}
+
+/**
+ * Convert an SSH config Host pattern (with * and ? wildcards) into a regular expression
+ */
+function sshPatternToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Resolve an SSH host alias using Host/HostName entries in an SSH config file
+ *
+ * Supports exact and wildcard (* and ?) Host patterns; the first matching HostName wins,
+ * as with ssh itself. Returns the alias unchanged when no entry matches.
+ */
+function resolveSshHostAlias(alias, sshConfigPath = path.join(os.homedir(), '.ssh', 'config')) {
+  let content;
+  try {
+    content = fs.readFileSync(sshConfigPath, 'utf8');
+  } catch (error) {
+    return alias;
+  }
+
+  let patternsMatch = false;
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    const match = line.match(/^(\w+)\s*=?\s*(.+)$/);
+    if (!match || line.startsWith('#')) {
+      continue;
+    }
+
+    const keyword = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (keyword === 'host') {
+      const patterns = value.split(/\s+/);
+      const positive = patterns.filter(pattern => !pattern.startsWith('!'));
+      const negative = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+      const matches = pattern => sshPatternToRegExp(pattern).test(alias);
+      patternsMatch = positive.some(matches) && !negative.some(matches);
+    } else if (keyword === 'match') {
+      patternsMatch = false;
+    } else if (keyword === 'hostname' && patternsMatch) {
+      return value.replace(/%h/g, alias);
     }
+  }
+
+  return alias;
+}
+
+/**
+ * Parse the host, owner and repository name from a remote URL, or return null
+ *
+ * Supports HTTPS URLs (with optional credentials and port), ssh:// URLs (with optional
+ * user and port) and scp-like SSH URLs (user@host:owner/repo). SSH hosts are resolved
+ * through SSH config aliases.
+ */
+function parseRemoteUrl(remoteUrl, sshConfigPath) {
+  let host;
+  let repoPath;
+  let isSsh = false;
+
+  const urlMatch = remoteUrl.match(/^(https?|ssh|git):\/\/(?:[^@\/]+@)?([^\/:]+)(?::(\d+))?\/(.+)$/);
+  const scpMatch = remoteUrl.match(/^(?:[^@\/]+@)?([^\/:]+):(?!\/)(.+)$/);
+
+  if (urlMatch) {
+    isSsh = urlMatch[1] === 'ssh' || urlMatch[1] === 'git';
+    host = urlMatch[2];
+    // Keep a custom HTTPS port since the API is served on it too; SSH ports do not matter
+    if (urlMatch[3] && !isSsh) {
+      host = `${host}:${urlMatch[3]}`;
+    }
+    repoPath = urlMatch[4];
+  } else if (scpMatch) {
+    isSsh = true;
+    host = scpMatch[1];
+    repoPath = scpMatch[2];
+  } else {
+    return null;
+  }
+
+  const pathMatch = repoPath.replace(/\/+$/, '').match(/^([^\/]+)\/([^\/]+?)(?:\.git)?$/);
+  if (!pathMatch) {
+    return null;
+  }
+
+  if (isSsh) {
+    host = resolveSshHostAlias(host, sshConfigPath);
+  }
+
+  // GitHub's SSH-over-HTTPS endpoint belongs to github.com
+  if (host === 'ssh.github.com') {
+    host = 'github.com';
+  }
+
+  return { host: host.toLowerCase(), owner: pathMatch[1], name: pathMatch[2] };
+}
 
-    if (!owner || !name) {
+/**
+ * Get the names of all configured remotes
+ */
+async function getRemoteNames() {
+  try {
+    const result = await runGit(['remote']);
+    return result.split('\n').map(name => name.trim()).filter(name => name.length > 0);
+  } catch (error) {
+    throw wrapGitError(error, `Failed to list remotes`);
+  }
+}
+
+/**
+ * Check if a remote is configured
+ */
+async function remoteExists(remoteName) {
+  return await getConfigValue(`remote.${remoteName}.url`) !== null;
+}
+
+/**
+ * Get repository information (owner and name) from git remote
+ */
+async function getRepositoryInfo(remoteName = 'origin') {
+  try {
+    // Get the remote URL
+    const remoteUrl = (await runGit(['config', '--get', `remote.${remoteName}.url`])).trim();
+
+    // Parse the remote URL to extract host, owner and repo name
+    const repoInfo = parseRemoteUrl(remoteUrl);
+    if (!repoInfo) {
       throw new Error(`Could not parse GitHub repository from remote URL: ${remoteUrl}`);
     }
 
-    return { owner, name };
+    return repoInfo;
   } catch (error) {
-    throw new Error(`Failed to get repository information: ${error.message}`);
+    throw wrapGitError(error, `Failed to get repository information`);
   }
 }
 
@@ -96,7 +298,7 @@ async function getRepositoryInfo() {
  */
 async function branchExists(branchName) {
   try {
-    execSync(`git show-ref --verify --quiet refs/heads/${branchName}`, { stdio: 'ignore' });
+    await runGit(['show-ref', '--verify', '--quiet', `refs/heads/${branchName}`]);
     return true;
   } catch (error) {
     return false;
@@ -108,10 +310,25 @@ async function branchExists(branchName) {
  */
 async function getBranchCommit(branchName) {
   try {
-    const result = execSync(`git rev-parse "${branchName}"`, { encoding: 'utf8' });
+    const result = await runGit(['rev-parse', '--verify', `${branchName}^{commit}`]);
     return result.trim();
   } catch (error) {
-    throw new Error(`Failed to get commit for branch ${branchName}: ${error.message}`);
+    throw wrapGitError(error, `Failed to get commit for branch ${branchName}`);
+  }
+}
+
+/**
+ * Get the most recent commit hashes reachable from a branch, newest first
+ */
+async function getBranchHistory(branchName, limit = 250) {
+  try {
+    const result = await runGit(['rev-list', `--max-count=${limit}`, branchName, '--']);
+    return result
+      .split('\n')
+      .map(sha => sha.trim())
+      .filter(sha => sha.length > 0);
+  } catch (error) {
+    throw wrapGitError(error, `Failed to get history for branch ${branchName}`);
   }
 }
 
@@ -120,10 +337,70 @@ async function getBranchCommit(branchName) {
  */
 async function getLastCommitDate(branchName) {
   try {
-    const result = execSync(`git log -1 --format=%ci "${branchName}"`, { encoding: 'utf8' });
+    const result = await runGit(['log', '-1', '--format=%ci', branchName, '--']);
     return new Date(result.trim());
   } catch (error) {
-    throw new Error(`Failed to get commit date for branch ${branchName}: ${error.message}`);
+    throw wrapGitError(error, `Failed to get commit date for branch ${branchName}`);
+  }
+}
+
+/**
+ * Count the commits on a branch that are not reachable from another ref
+ */
+async function countCommitsNotIn(branchName, ref) {
+  try {
+    const result = await runGit(['rev-list', '--count', `${ref}..${branchName}`, '--']);
+    return parseInt(result.trim(), 10);
+  } catch (error) {
+    throw wrapGitError(error, `Failed to count commits of ${branchName} not in ${ref}`);
+  }
+}
+
+/**
+ * Count the commits on a branch that are not on any remote-tracking branch (nor in baseRef, if given)
+ */
+async function countUnpushedCommits(branchName, baseRef = null) {
+  try {
+    const result = await runGit(['rev-list', '--count', branchName, '--not', '--remotes', ...(baseRef ? [baseRef] : []), '--']);
+    return parseInt(result.trim(), 10);
+  } catch (error) {
+    throw wrapGitError(error, `Failed to count unpushed commits of ${branchName}`);
+  }
+}
+
+/**
+ * Check if a branch was ever pushed: it has an upstream or its tip is on a remote-tracking branch
+ */
+async function isBranchPushed(branchName) {
+  if (await getBranchUpstreamConfig(branchName)) {
+    return true;
+  }
+
+  try {
+    const result = await runGit(['branch', '-r', '--contains', branchName]);
+    return result.trim().length > 0;
+  } catch (error) {
+    throw wrapGitError(error, `Failed to check whether ${branchName} was pushed`);
+  }
+}
+
+/**
+ * Get the last commit date of every local branch with one git call, as a Map of branch -> Date
+ */
+async function getLastCommitDates() {
+  try {
+    const result = await runGit(['for-each-ref', '--format=%(refname:short)%09%(committerdate:iso-strict)', 'refs/heads']);
+
+    const dates = new Map();
+    result.split('\n').forEach(line => {
+      const [branch, date] = line.split('\t');
+      if (branch && date) {
+        dates.set(branch, new Date(date));
+      }
+    });
+    return dates;
+  } catch (error) {
+    throw wrapGitError(error, `Failed to get commit dates of local branches`);
   }
 }
 
@@ -135,31 +412,375 @@ async function getOldestLocalCommitDate(branches) {
     return new Date(); // Return current date if no branches
   }
 
+  const dates = await getLastCommitDates();
   let oldestDate = new Date();
 
   for (const branch of branches) {
-    try {
-      const commitDate = await getLastCommitDate(branch);
-      if (commitDate < oldestDate) {
-        oldestDate = commitDate;
-      }
-    } catch (error) {
+    const commitDate = dates.get(branch);
+    if (!commitDate) {
       // Skip branches that can't be processed, but log the issue
-      console.warn(`⚠️  Could not get commit date for branch ${branch}: ${error.message}`);
+      console.warn(`⚠️  Could not get commit date for branch ${branch}`);
+    } else if (commitDate < oldestDate) {
+      oldestDate = commitDate;
     }
   }
 
   return oldestDate;
 }
 
+/**
+ * Get the default branch to compare against for offline merge detection
+ *
+ * Prefers the remote's HEAD (e.g. origin/main) and falls back to a local main or master branch.
+ */
+async function getDefaultBranch(remoteName = 'origin') {
+  const remoteHead = await getRemoteHeadRef(remoteName);
+  if (remoteHead) {
+    return remoteHead.replace(/^refs\/remotes\//, '');
+  }
+
+  // Remote HEAD is not set (or there is no remote), try well-known local names
+
+  for (const candidate of ['main', 'master']) {
+    if (await branchExists(candidate)) {
+      return candidate;
+    }
+  }
+
+  throw new Error(`Could not determine the default branch (set it with: git remote set-head ${remoteName} --auto)`);
+}
+
+/**
+ * Check if a commit is an ancestor of another commit
+ */
+async function isAncestor(ancestor, descendant) {
+  try {
+    await runGit(['merge-base', '--is-ancestor', ancestor, descendant]);
+    return true;
+  } catch (error) {
+    if (error.exitCode === 1) {
+      return false;
+    }
+    throw wrapGitError(error, `Failed to compare ${ancestor} with ${descendant}`);
+  }
+}
+
+/**
+ * Get the best common ancestor of two commits
+ */
+async function getMergeBase(first, second) {
+  try {
+    const result = await runGit(['merge-base', first, second]);
+    return result.trim();
+  } catch (error) {
+    throw wrapGitError(error, `Failed to find merge base of ${first} and ${second}`);
+  }
+}
+
+/**
+ * List the commits of head that are not in upstream, marking the ones whose
+ * changes already exist in upstream under a different hash (git cherry)
+ */
+async function getCherryStatus(upstream, head) {
+  try {
+    const result = await runGit(['cherry', upstream, head]);
+    return result
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .map(line => ({ sha: line.slice(2), applied: line.startsWith('-') }));
+  } catch (error) {
+    throw wrapGitError(error, `Failed to compare ${head} with ${upstream}`);
+  }
+}
+
+/**
+ * Create a dangling commit with the tree of a branch on top of the given parent
+ *
+ * Used to squash a branch into a single commit so it can be compared with squash merges.
+ * The commit is not referenced by any branch and is removed by git gc.
+ */
+async function createSquashCommit(branchName, parent) {
+  try {
+    const result = await runGit(['commit-tree', `${branchName}^{tree}`, '-p', parent, '-m', `Squashed ${branchName}`]);
+    return result.trim();
+  } catch (error) {
+    throw wrapGitError(error, `Failed to squash branch ${branchName}`);
+  }
+}
+
+/**
+ * Get the subject line of the last commit on a branch
+ */
+async function getCommitSubject(branchName) {
+  try {
+    const result = await runGit(['log', '-1', '--format=%s', branchName, '--']);
+    return result.trim();
+  } catch (error) {
+    throw wrapGitError(error, `Failed to get commit subject for branch ${branchName}`);
+  }
+}
+
+/**
+ * Get the path of the git directory shared by all worktrees
+ */
+async function getGitCommonDir() {
+  try {
+    const result = await runGit(['rev-parse', '--git-common-dir']);
+    return path.resolve(result.trim());
+  } catch (error) {
+    throw wrapGitError(error, `Failed to get git directory`);
+  }
+}
+
+/**
+ * Get a single git config value, or null if it is not set
+ */
+async function getConfigValue(key) {
+  try {
+    return (await runGit(['config', '--get', key])).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the git config entries in a section as [{ key, value }], in the order git reads them
+ *
+ * Keys are returned as git reports them: section and variable names lowercased. Multi-valued
+ * keys appear once per value.
+ */
+async function getConfigSection(section) {
+  try {
+    const output = await runGit(['config', '--get-regexp', `^${section.toLowerCase()}\\.`]);
+
+    return output
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => {
+        const separator = line.indexOf(' ');
+        return separator === -1
+          ? { key: line, value: '' }
+          : { key: line.substring(0, separator), value: line.substring(separator + 1) };
+      });
+  } catch (error) {
+    // git config exits with an error when no key matches
+    return [];
+  }
+}
+
+/**
+ * Get the top-level directory of the repository's working tree
+ */
+async function getRepositoryRoot() {
+  try {
+    const result = await runGit(['rev-parse', '--show-toplevel']);
+    return result.trim();
+  } catch (error) {
+    throw wrapGitError(error, `Failed to get repository root`);
+  }
+}
+
+/**
+ * Get the worktrees of the repository, as [{ path, branch }]
+ *
+ * The main worktree comes first. branch is null for worktrees with a detached HEAD and for
+ * a bare repository.
+ */
+async function getWorktrees() {
+  try {
+    const result = await runGit(['worktree', 'list', '--porcelain']);
+
+    return result
+      .split('\n\n')
+      .map(block => block.split('\n'))
+      .filter(lines => lines[0].startsWith('worktree '))
+      .map(lines => {
+        const branchLine = lines.find(line => line.startsWith('branch refs/heads/'));
+        return {
+          path: lines[0].substring('worktree '.length),
+          branch: branchLine ? branchLine.substring('branch refs/heads/'.length) : null
+        };
+      });
+  } catch (error) {
+    throw wrapGitError(error, `Failed to list worktrees`);
+  }
+}
+
+/**
+ * Get the branches checked out in worktrees other than the current one, as a Map of branch -> path
+ */
+async function getWorktreeBranches() {
+  const currentRoot = fs.realpathSync(await getRepositoryRoot());
+  const worktrees = await getWorktrees();
+
+  return new Map(worktrees
+    .filter(worktree => worktree.branch && !isSamePath(worktree.path, currentRoot))
+    .map(worktree => [worktree.branch, worktree.path]));
+}
+
+/**
+ * Check whether a path refers to the given real path, following symlinks when it exists
+ */
+function isSamePath(candidate, realPath) {
+  try {
+    return fs.realpathSync(candidate) === realPath;
+  } catch (error) {
+    // A missing worktree directory (prunable worktree) cannot be the current one
+    return false;
+  }
+}
+
+/**
+ * Check whether a worktree has uncommitted changes, counting untracked files as changes
+ */
+async function hasUncommittedChanges(worktreePath) {
+  try {
+    const result = await runGit(['status', '--porcelain'], { cwd: worktreePath });
+    return result.trim().length > 0;
+  } catch (error) {
+    throw wrapGitError(error, `Failed to check worktree ${worktreePath} for changes`);
+  }
+}
+
+/**
+ * Remove a worktree; git refuses if it has uncommitted changes or untracked files
+ */
+async function removeWorktree(worktreePath) {
+  try {
+    await runGit(['worktree', 'remove', worktreePath]);
+  } catch (error) {
+    throw wrapGitError(error, `Failed to remove worktree ${worktreePath}`);
+  }
+}
+
+/**
+ * Get the upstream tracking configuration of a branch ({ remote, merge }), or null if it has none
+ */
+async function getBranchUpstreamConfig(branchName) {
+  const remote = await getConfigValue(`branch.${branchName}.remote`);
+  const merge = await getConfigValue(`branch.${branchName}.merge`);
+
+  if (!remote && !merge) {
+    return null;
+  }
+
+  return { remote, merge };
+}
+
+/**
+ * Set the upstream tracking configuration of a branch
+ */
+async function setBranchUpstreamConfig(branchName, upstream) {
+  try {
+    if (upstream.remote) {
+      await runGit(['config', `branch.${branchName}.remote`, upstream.remote]);
+    }
+    if (upstream.merge) {
+      await runGit(['config', `branch.${branchName}.merge`, upstream.merge]);
+    }
+  } catch (error) {
+    throw wrapGitError(error, `Failed to set upstream for branch ${branchName}`);
+  }
+}
+
+/**
+ * Check if a commit object exists in the repository
+ */
+async function commitExists(sha) {
+  try {
+    await runGit(['cat-file', '-e', `${sha}^{commit}`]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create a local branch pointing at a commit
+ */
+async function createBranch(branchName, sha) {
+  try {
+    await runGit(['branch', branchName, sha]);
+  } catch (error) {
+    throw wrapGitError(error, `Failed to create branch ${branchName}`);
+  }
+}
+
+/**
+ * Find the git repositories under a directory, sorted by path
+ *
+ * A directory containing a .git entry (a directory, or a file for worktrees and
+ * submodules) is a repository; its subdirectories are not searched. Hidden directories
+ * and node_modules are skipped.
+ */
+function findGitRepositories(rootDir) {
+  const repositories = [];
+
+  const visit = (directory) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      // Unreadable directories are skipped
+      return;
+    }
+
+    if (entries.some(entry => entry.name === '.git')) {
+      repositories.push(directory);
+      return;
+    }
+
+    entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules')
+      .forEach(entry => visit(path.join(directory, entry.name)));
+  };
+
+  visit(path.resolve(rootDir));
+  return repositories.sort();
+}
+
 module.exports = {
   isGitRepository,
   getCurrentBranch,
   getLocalBranches,
   deleteBranch,
+  getUpstreamTrackingRef,
+  getRemoteHeadRef,
+  deleteRef,
+  fetchAndPrune,
+  getGoneBranches,
+  getUpstreamBranches,
+  resolveSshHostAlias,
+  parseRemoteUrl,
+  getRemoteNames,
+  remoteExists,
   getRepositoryInfo,
   branchExists,
   getBranchCommit,
+  getBranchHistory,
   getLastCommitDate,
-  getOldestLocalCommitDate
+  getLastCommitDates,
+  getOldestLocalCommitDate,
+  countCommitsNotIn,
+  countUnpushedCommits,
+  isBranchPushed,
+  getDefaultBranch,
+  isAncestor,
+  getMergeBase,
+  getCherryStatus,
+  createSquashCommit,
+  getCommitSubject,
+  getGitCommonDir,
+  getConfigSection,
+  getRepositoryRoot,
+  getWorktrees,
+  getWorktreeBranches,
+  hasUncommittedChanges,
+  removeWorktree,
+  getBranchUpstreamConfig,
+  setBranchUpstreamConfig,
+  commitExists,
+  createBranch,
+  findGitRepositories
 };
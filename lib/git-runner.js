@@ -0,0 +1,102 @@
+const { execFile, execFileSync } = require('child_process');
+
+// Largest output accepted from a single git command (for-each-ref over many branches stays far below)
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Error thrown when a git command fails
+ *
+ * Carries the arguments git was run with, its exit code (null when it did not exit normally,
+ * e.g. when it was killed after a timeout or could not be started) and its stderr.
+ */
+class GitError extends Error {
+  constructor(args, { exitCode = null, stderr = '', signal = null, reason = null } = {}) {
+    const detail = stderr.trim() || reason || (signal ? `killed by ${signal}` : `exit code ${exitCode}`);
+    super(`git ${args.join(' ')}: ${detail}`);
+    this.name = 'GitError';
+    this.args = args;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+    this.signal = signal;
+  }
+}
+
+/**
+ * Convert an error from child_process into a GitError
+ */
+function toGitError(args, error, stderr = '') {
+  return new GitError(args, {
+    exitCode: typeof error.status === 'number' ? error.status : (typeof error.code === 'number' ? error.code : null),
+    stderr: typeof stderr === 'string' ? stderr : String(stderr || ''),
+    signal: error.signal || null,
+    reason: error.code === 'ENOENT' ? 'git is not installed or not on the PATH' : null
+  });
+}
+
+/**
+ * Prefix an error with what was being done (e.g. "Failed to delete branch x")
+ *
+ * A GitError stays a GitError with its args, exit code and stderr, so callers can still tell
+ * git failures apart; any other error becomes an Error with the original as its cause.
+ */
+function wrapGitError(error, context) {
+  if (error instanceof GitError) {
+    error.message = `${context}: ${error.message}`;
+    return error;
+  }
+  return new Error(`${context}: ${error.message}`, { cause: error });
+}
+
+/**
+ * Run git with an array of arguments, resolving to its stdout
+ *
+ * Arguments are passed to git directly, never through a shell, so branch names containing
+ * quotes, `$` or backticks are safe. options.input is written to git's stdin; options.cwd,
+ * options.env and options.timeout (ms) are passed to child_process. Rejects with a GitError
+ * when git exits with a non-zero code.
+ */
+function runGit(args, { cwd, env, input, timeout } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, {
+      cwd,
+      env,
+      timeout,
+      encoding: 'utf8',
+      maxBuffer: MAX_OUTPUT_BYTES
+    }, (error, stdout, stderr) => {
+      if (error) {
+        reject(toGitError(args, error, stderr));
+        return;
+      }
+      resolve(stdout);
+    });
+
+    // Close stdin so git never waits for input it was not given
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Run git synchronously with an array of arguments, returning its stdout
+ *
+ * Only for the few checks that must stay synchronous; use runGit everywhere else.
+ */
+function runGitSync(args, { cwd } = {}) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: MAX_OUTPUT_BYTES
+    });
+  } catch (error) {
+    throw toGitError(args, error, error.stderr);
+  }
+}
+
+module.exports = {
+  GitError,
+  wrapGitError,
+  runGit,
+  runGitSync
+};
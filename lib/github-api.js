@@ -1,24 +1,46 @@
 const { Octokit } = require('@octokit/rest');
+const rateLimiter = require('./rate-limiter');
+
+const DEFAULT_HOST = 'github.com';
+
+/**
+ * Get the REST API base URL for a GitHub host
+ *
+ * github.com uses api.github.com; GitHub Enterprise Server serves the API under /api/v3
+ * (and GraphQL under /api/graphql, which Octokit derives from the REST base URL).
+ */
+function getApiBaseUrl(host = DEFAULT_HOST) {
+  if (host === DEFAULT_HOST) {
+    return 'https://api.github.com';
+  }
+  return `https://${host}/api/v3`;
+}
 
 /**
- * Initialize GitHub API client
+ * Initialize GitHub API client with rate limit handling
  */
-function initialize(token) {
-  return new Octokit({
+function initialize(token, host = DEFAULT_HOST) {
+  const octokit = new Octokit({
     auth: token,
+    baseUrl: getApiBaseUrl(host)
   });
+
+  return rateLimiter.install(octokit);
 }
 
 /**
  * Find pull requests for a specific branch
+ *
+ * headOwner is the owner of the repository the branch was pushed to (a fork owner for
+ * fork-based workflows); it defaults to the repository owner.
  */
-async function findPullRequestsForBranch(octokit, owner, repo, branchName) {
+async function findPullRequestsForBranch(octokit, owner, repo, branchName, headOwner = owner) {
   try {
     // Search for PRs with the specific head branch
     const { data } = await octokit.rest.pulls.list({
       owner,
       repo,
-      head: `${owner}:${branchName}`,
+      head: `${headOwner}:${branchName}`,
       state: 'all', // Include open, closed, and merged PRs
       sort: 'updated',
       direction: 'desc'
@@ -37,8 +59,8 @@ async function findPullRequestsForBranch(octokit, owner, repo, branchName) {
           direction: 'desc'
         });
 
-        // Filter PRs that match the branch name
-        return data.filter(pr => pr.head.ref === branchName);
+        // Filter PRs that match the branch name and head owner
+        return data.filter(pr => pr.head.label.toLowerCase() === `${headOwner}:${branchName}`.toLowerCase());
       } catch (fallbackError) {
         throw new Error(`Failed to fetch PRs: ${fallbackError.message}`);
       }
@@ -47,6 +69,18 @@ async function findPullRequestsForBranch(octokit, owner, repo, branchName) {
   }
 }
 
+/**
+ * Get the login of the user the client is authenticated as
+ */
+async function getAuthenticatedLogin(octokit) {
+  try {
+    const { data } = await octokit.rest.users.getAuthenticated();
+    return data.login;
+  } catch (error) {
+    throw new Error(`Failed to get the authenticated user: ${error.message}`);
+  }
+}
+
 /**
  * Get detailed information about a specific pull request
  */
@@ -64,6 +98,26 @@ async function getPullRequestDetails(octokit, owner, repo, prNumber) {
   }
 }
 
+/**
+ * Get the commit hashes of a pull request
+ *
+ * GitHub returns at most 250 commits for a single pull request.
+ */
+async function getPullRequestCommits(octokit, owner, repo, prNumber) {
+  try {
+    const commits = await octokit.paginate(octokit.rest.pulls.listCommits, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100
+    });
+
+    return commits.map(commit => commit.sha);
+  } catch (error) {
+    throw new Error(`Failed to get commits for PR #${prNumber}: ${error.message}`);
+  }
+}
+
 /**
  * Check if a pull request is merged
  */
@@ -99,6 +153,249 @@ async function getRepositoryInfo(octokit, owner, repo) {
   }
 }
 
+// Number of head refs looked up in a single GraphQL query
+const GRAPHQL_BATCH_SIZE = 50;
+
+// Number of pull requests fetched per head ref and page in GraphQL queries
+const GRAPHQL_PAGE_SIZE = 10;
+
+const PULL_REQUEST_FIELDS = `
+  number
+  title
+  state
+  merged
+  mergedAt
+  closedAt
+  updatedAt
+  url
+  headRefName
+  headRefOid
+  baseRefName
+  mergeCommit { oid }
+  headRepository { nameWithOwner }
+  headRepositoryOwner { login }
+  author { login }
+  labels(first: 50) { nodes { name } }
+  isDraft
+`;
+
+/**
+ * Convert a GraphQL pull request node into the shape returned by the REST API
+ */
+function normalizeGraphQLPullRequest(node) {
+  return {
+    number: node.number,
+    title: node.title,
+    state: node.state === 'OPEN' ? 'open' : 'closed',
+    merged: node.merged,
+    merged_at: node.mergedAt,
+    closed_at: node.closedAt,
+    updated_at: node.updatedAt,
+    html_url: node.url,
+    merge_commit_sha: node.mergeCommit ? node.mergeCommit.oid : null,
+    head: {
+      ref: node.headRefName,
+      label: `${node.headRepositoryOwner ? node.headRepositoryOwner.login : ''}:${node.headRefName}`,
+      sha: node.headRefOid,
+      repo: node.headRepository ? { full_name: node.headRepository.nameWithOwner } : null
+    },
+    base: {
+      ref: node.baseRefName
+    },
+    user: node.author ? { login: node.author.login } : null,
+    labels: node.labels ? node.labels.nodes.map(({ name }) => ({ name })) : [],
+    draft: Boolean(node.isDraft)
+  };
+}
+
+/**
+ * Find the pull requests for many head branches using batched GraphQL queries
+ *
+ * Each query looks up GRAPHQL_BATCH_SIZE branches through aliased pullRequests fields; branches
+ * with more PRs than fit on one page are paginated on their own, so an older open PR is never
+ * missed. Returns a Map of branch name -> pull requests (REST shape, newest first). The PRs are
+ * not filtered by head owner, so PRs from forks with the same branch name are included.
+ */
+async function getPullRequestsByHeadRefs(octokit, owner, repo, branchNames) {
+  const result = new Map();
+
+  try {
+    for (let start = 0; start < branchNames.length; start += GRAPHQL_BATCH_SIZE) {
+      const batch = branchNames.slice(start, start + GRAPHQL_BATCH_SIZE);
+      const variables = { owner, repo };
+      const fields = batch.map((branchName, index) => {
+        variables[`ref${index}`] = branchName;
+        return `pr${index}: pullRequests(headRefName: $ref${index}, first: ${GRAPHQL_PAGE_SIZE}, orderBy: { field: CREATED_AT, direction: DESC }) {
+          nodes { ${PULL_REQUEST_FIELDS} }
+          pageInfo { hasNextPage endCursor }
+        }`;
+      });
+      const refParams = batch.map((branchName, index) => `$ref${index}: String!`).join(', ');
+
+      const query = `query($owner: String!, $repo: String!, ${refParams}) {
+        repository(owner: $owner, name: $repo) {
+          ${fields.join('\n')}
+        }
+      }`;
+
+      const { repository } = await octokit.graphql(query, variables);
+
+      for (const [index, branchName] of batch.entries()) {
+        const { nodes, pageInfo } = repository[`pr${index}`];
+        const remaining = pageInfo.hasNextPage
+          ? await getRemainingPullRequestNodes(octokit, owner, repo, branchName, pageInfo.endCursor)
+          : [];
+        result.set(branchName, [...nodes, ...remaining].map(normalizeGraphQLPullRequest));
+      }
+    }
+
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to look up PRs with GraphQL: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch the pull request nodes of one head branch that follow the given page cursor
+ */
+async function getRemainingPullRequestNodes(octokit, owner, repo, branchName, cursor) {
+  const query = `query($owner: String!, $repo: String!, $ref: String!, $cursor: String!) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(headRefName: $ref, first: ${GRAPHQL_PAGE_SIZE}, after: $cursor, orderBy: { field: CREATED_AT, direction: DESC }) {
+        nodes { ${PULL_REQUEST_FIELDS} }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }`;
+
+  const nodes = [];
+  let pageInfo = { hasNextPage: true, endCursor: cursor };
+  while (pageInfo.hasNextPage) {
+    const { repository } = await octokit.graphql(query, { owner, repo, ref: branchName, cursor: pageInfo.endCursor });
+    nodes.push(...repository.pullRequests.nodes);
+    pageInfo = repository.pullRequests.pageInfo;
+  }
+  return nodes;
+}
+
+/**
+ * Get the pull requests that contain a commit, newest first
+ *
+ * The list endpoint does not return the 'merged' property, so it is derived from merged_at.
+ */
+async function getPullRequestsForCommit(octokit, owner, repo, sha) {
+  try {
+    const { data } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+      owner,
+      repo,
+      commit_sha: sha,
+      per_page: 100
+    });
+
+    return data
+      .map(pr => ({ ...pr, merged: Boolean(pr.merged_at) }))
+      .sort((a, b) => b.number - a.number);
+  } catch (error) {
+    if (error.status === 422 || error.status === 404) {
+      // The commit was never pushed to this repository
+      return [];
+    }
+    throw new Error(`Failed to get PRs for commit ${sha.slice(0, 7)}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the names of all protected branches in a repository
+ */
+async function getProtectedBranches(octokit, owner, repo) {
+  try {
+    const branches = await octokit.paginate(octokit.rest.repos.listBranches, {
+      owner,
+      repo,
+      protected: true,
+      per_page: 100
+    });
+
+    return branches.map(branch => branch.name);
+  } catch (error) {
+    throw new Error(`Failed to get protected branches: ${error.message}`);
+  }
+}
+
+/**
+ * Get the active branch rulesets of a repository, including those inherited from its organization
+ *
+ * Returns [] on hosts without the rulesets API (older GitHub Enterprise Server versions).
+ */
+async function getBranchRulesets(octokit, owner, repo) {
+  try {
+    const summaries = await octokit.paginate(octokit.rest.repos.getRepoRulesets, {
+      owner,
+      repo,
+      includes_parents: true,
+      per_page: 100
+    });
+
+    const rulesets = [];
+    for (const summary of summaries) {
+      if (summary.target && summary.target !== 'branch') {
+        continue;
+      }
+
+      const { data } = await octokit.rest.repos.getRepoRuleset({
+        owner,
+        repo,
+        ruleset_id: summary.id,
+        includes_parents: true
+      });
+      if (data.enforcement === 'active') {
+        rulesets.push(data);
+      }
+    }
+
+    return rulesets;
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw new Error(`Failed to get branch rulesets: ${error.message}`);
+  }
+}
+
+/**
+ * Get the commit a branch in the GitHub repository points to, or null when it does not exist
+ */
+async function getRemoteBranchSha(octokit, owner, repo, branchName) {
+  try {
+    const { data } = await octokit.rest.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${branchName}`
+    });
+    return data.object.sha;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw new Error(`Failed to check remote branch ${branchName}: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a branch from the GitHub repository
+ */
+async function deleteRemoteBranch(octokit, owner, repo, branchName) {
+  try {
+    await octokit.rest.git.deleteRef({
+      owner,
+      repo,
+      ref: `heads/${branchName}`
+    });
+  } catch (error) {
+    throw new Error(`Failed to delete remote branch ${branchName}: ${error.message}`);
+  }
+}
+
 /**
  * Search for pull requests using GitHub's search API
  *
@@ -180,12 +477,88 @@ async function getAllPullRequests(octokit, owner, repo, options = {}) {
   }
 }
 
+/**
+ * Get the pull requests updated since a given date, newest first
+ *
+ * The first page is requested with If-None-Match when an ETag from a previous call is given;
+ * if GitHub answers 304 Not Modified, nothing changed and notModified is true.
+ * Returns { pullRequests, etag, notModified }.
+ */
+async function getUpdatedPullRequests(octokit, owner, repo, options = {}) {
+  const { since, etag } = options;
+  const sinceDate = since ? new Date(since) : null;
+  const pullRequests = [];
+  const perPage = 100;
+  let page = 1;
+  let firstPageEtag = null;
+
+  try {
+    while (true) {
+      const params = {
+        owner,
+        repo,
+        state: 'all',
+        sort: 'updated',
+        direction: 'desc',
+        page,
+        per_page: perPage
+      };
+
+      if (page === 1 && etag) {
+        params.headers = { 'if-none-match': etag };
+      }
+
+      let response;
+      try {
+        response = await octokit.rest.pulls.list(params);
+      } catch (error) {
+        if (error.status === 304) {
+          return { pullRequests: [], etag, notModified: true };
+        }
+        throw error;
+      }
+
+      if (page === 1) {
+        firstPageEtag = response.headers.etag || null;
+      }
+
+      const { data } = response;
+      const recent = sinceDate
+        ? data.filter(pr => new Date(pr.updated_at) >= sinceDate)
+        : data;
+      pullRequests.push(...recent);
+
+      // Stop at the last page or once the pages are older than the since date
+      if (data.length < perPage || recent.length < data.length) {
+        break;
+      }
+
+      page++;
+    }
+
+    return { pullRequests, etag: firstPageEtag, notModified: false };
+  } catch (error) {
+    throw new Error(`Failed to get updated PRs: ${error.message}`);
+  }
+}
+
 module.exports = {
+  DEFAULT_HOST,
+  getApiBaseUrl,
   initialize,
   findPullRequestsForBranch,
+  getAuthenticatedLogin,
   getPullRequestDetails,
+  getPullRequestsByHeadRefs,
+  getPullRequestCommits,
   isPullRequestMerged,
   getRepositoryInfo,
+  getPullRequestsForCommit,
+  getProtectedBranches,
+  getBranchRulesets,
+  getRemoteBranchSha,
+  deleteRemoteBranch,
   searchPullRequests,
-  getAllPullRequests
+  getAllPullRequests,
+  getUpdatedPullRequests
 };
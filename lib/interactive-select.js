@@ -0,0 +1,157 @@
+const readline = require('readline');
+
+const HELP_LINE = '↑/↓ move · space toggle · a all · n none · m merged · enter confirm · q cancel';
+
+/**
+ * Create the initial checklist state with every item checked
+ *
+ * Items are { branch, prNumber, state, title, age, merged }.
+ */
+function createSelectionState(items) {
+  return {
+    items,
+    checked: items.map(() => true),
+    cursor: 0,
+    done: false,
+    cancelled: false
+  };
+}
+
+/**
+ * Apply a keypress to the checklist state, returning the new state
+ */
+function applyKey(state, key) {
+  const next = { ...state, checked: [...state.checked] };
+  const name = key.ctrl && key.name === 'c' ? 'cancel' : key.name;
+
+  switch (name) {
+    case 'up':
+    case 'k':
+      next.cursor = (state.cursor - 1 + state.items.length) % state.items.length;
+      break;
+    case 'down':
+    case 'j':
+      next.cursor = (state.cursor + 1) % state.items.length;
+      break;
+    case 'space':
+      next.checked[state.cursor] = !state.checked[state.cursor];
+      break;
+    case 'a':
+      next.checked = state.items.map(() => true);
+      break;
+    case 'n':
+      next.checked = state.items.map(() => false);
+      break;
+    case 'm':
+      next.checked = state.items.map(item => Boolean(item.merged));
+      break;
+    case 'return':
+    case 'enter':
+      next.done = true;
+      break;
+    case 'q':
+    case 'escape':
+    case 'cancel':
+      next.done = true;
+      next.cancelled = true;
+      break;
+    default:
+      break;
+  }
+
+  return next;
+}
+
+/**
+ * Render the checklist as lines of text, scrolled so the cursor stays within maxRows
+ */
+function renderChecklist(state, maxRows = state.items.length) {
+  const columns = state.items.map(item => [
+    item.branch,
+    item.prNumber ? `#${item.prNumber}` : '',
+    item.state,
+    item.age,
+    item.title ? `"${item.title}"` : ''
+  ]);
+  const widths = [0, 1, 2, 3].map(index =>
+    Math.max(...columns.map(row => row[index].length))
+  );
+
+  const visibleRows = Math.max(1, Math.min(maxRows, state.items.length));
+  const offset = Math.min(
+    Math.max(0, state.cursor - visibleRows + 1),
+    state.items.length - visibleRows
+  );
+
+  const selectedCount = state.checked.filter(Boolean).length;
+  const lines = [`Select branches to delete (${selectedCount}/${state.items.length} selected):`];
+
+  for (let index = offset; index < offset + visibleRows; index++) {
+    const row = columns[index];
+    const pointer = index === state.cursor ? '❯' : ' ';
+    const box = state.checked[index] ? '[x]' : '[ ]';
+    const cells = row.slice(0, 4).map((cell, column) => cell.padEnd(widths[column]));
+    lines.push(`${pointer} ${box} ${cells.join('  ')}  ${row[4]}`.trimEnd());
+  }
+
+  if (visibleRows < state.items.length) {
+    lines.push(`  (${offset + 1}-${offset + visibleRows} of ${state.items.length})`);
+  }
+  lines.push(HELP_LINE);
+
+  return lines;
+}
+
+/**
+ * Show an interactive checklist and resolve with the selected items, or null if cancelled
+ *
+ * Uses readline keypress events with the input in raw mode, so it requires a TTY.
+ */
+function selectBranches(items, { input = process.stdin, output = process.stdout } = {}) {
+  if (!input.isTTY) {
+    return Promise.reject(new Error('--interactive requires an interactive terminal'));
+  }
+
+  return new Promise((resolve) => {
+    let state = createSelectionState(items);
+    let renderedLines = 0;
+
+    const render = () => {
+      if (renderedLines > 0) {
+        readline.moveCursor(output, 0, -renderedLines);
+        readline.clearScreenDown(output);
+      }
+      const maxRows = (output.rows || 24) - 4;
+      const lines = renderChecklist(state, maxRows);
+      output.write(`${lines.join('\n')}\n`);
+      renderedLines = lines.length;
+    };
+
+    const onKeypress = (str, key) => {
+      state = applyKey(state, key || {});
+      render();
+
+      if (state.done) {
+        input.removeListener('keypress', onKeypress);
+        input.setRawMode(false);
+        input.pause();
+        output.write('\x1b[?25h');
+        resolve(state.cancelled ? null : items.filter((item, index) => state.checked[index]));
+      }
+    };
+
+    readline.emitKeypressEvents(input);
+    input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKeypress);
+    output.write('\x1b[?25l');
+    render();
+  });
+}
+
+module.exports = {
+  createSelectionState,
+  applyKey,
+  renderChecklist,
+  selectBranches
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const gitOps = require('./git-operations');
+
+const JOURNAL_FILE_NAME = 'github-branch-cleaner-journal.jsonl';
+
+/**
+ * Get the journal file path inside the repository's git directory
+ */
+async function getJournalPath() {
+  const gitDir = await gitOps.getGitCommonDir();
+  return path.join(gitDir, JOURNAL_FILE_NAME);
+}
+
+/**
+ * Create an identifier for a cleanup session from its start time (e.g. 20251019-101500)
+ */
+function createSessionId(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+/**
+ * Append an entry to the journal
+ */
+async function appendEntry(entry) {
+  const journalPath = await getJournalPath();
+  fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Record a branch that is about to be deleted
+ *
+ * Must be called before the deletion so the tip and tracking config are never lost.
+ */
+async function recordDeletion(sessionId, { branch, prNumber = null, reason = null }) {
+  const sha = await gitOps.getBranchCommit(branch);
+  const upstream = await gitOps.getBranchUpstreamConfig(branch);
+
+  await appendEntry({
+    type: 'delete',
+    session: sessionId,
+    timestamp: new Date().toISOString(),
+    branch,
+    sha,
+    upstream,
+    prNumber,
+    reason
+  });
+}
+
+/**
+ * Record that a journaled deletion did not happen after all
+ */
+async function recordDeletionFailure(sessionId, branch) {
+  await appendEntry({
+    type: 'delete-failed',
+    session: sessionId,
+    timestamp: new Date().toISOString(),
+    branch
+  });
+}
+
+/**
+ * Read the deletions recorded in the journal, oldest first
+ */
+async function readDeletions() {
+  const journalPath = await getJournalPath();
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  const entries = fs.readFileSync(journalPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        // Skip lines from an interrupted write
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const failed = new Set(entries
+    .filter(entry => entry.type === 'delete-failed')
+    .map(entry => `${entry.session}\n${entry.branch}`));
+
+  return entries.filter(entry =>
+    entry.type === 'delete' && !failed.has(`${entry.session}\n${entry.branch}`)
+  );
+}
+
+/**
+ * Group journaled deletions into sessions, newest first
+ */
+function groupSessions(deletions) {
+  const sessions = new Map();
+  deletions.forEach(entry => {
+    if (!sessions.has(entry.session)) {
+      sessions.set(entry.session, { id: entry.session, timestamp: entry.timestamp, deletions: [] });
+    }
+    sessions.get(entry.session).deletions.push(entry);
+  });
+
+  return [...sessions.values()].reverse();
+}
+
+/**
+ * Recreate a deleted branch at its recorded commit with its tracking config
+ *
+ * Returns { branch, restored, reason }; restored is false if the branch already exists
+ * or its commit has been garbage-collected.
+ */
+async function restoreDeletion(entry) {
+  if (await gitOps.branchExists(entry.branch)) {
+    return { branch: entry.branch, restored: false, reason: 'a branch with this name already exists' };
+  }
+
+  if (!(await gitOps.commitExists(entry.sha))) {
+    return { branch: entry.branch, restored: false, reason: `commit ${entry.sha.slice(0, 12)} has been garbage-collected` };
+  }
+
+  await gitOps.createBranch(entry.branch, entry.sha);
+  if (entry.upstream) {
+    await gitOps.setBranchUpstreamConfig(entry.branch, entry.upstream);
+  }
+
+  return { branch: entry.branch, restored: true, reason: null };
+}
+
+module.exports = {
+  getJournalPath,
+  createSessionId,
+  recordDeletion,
+  recordDeletionFailure,
+  readDeletions,
+  groupSessions,
+  restoreDeletion
+};
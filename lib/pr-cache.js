@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const githubApi = require('./github-api');
+
+// Bump when the structure of the cache file changes; older files are discarded
+const CACHE_SCHEMA_VERSION = 3;
+
+/**
+ * Get the cache file path for a repository
+ *
+ * Repositories on GitHub Enterprise hosts are kept in a separate directory per host.
+ */
+function getCachePath(owner, repo, host = githubApi.DEFAULT_HOST) {
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  const hostDirectory = host === githubApi.DEFAULT_HOST ? [] : [host.replace(/:/g, '_')];
+  return path.join(cacheHome, 'github-branch-cleaner', ...hostDirectory, owner, `${repo}.json`);
+}
+
+/**
+ * Create an empty cache
+ */
+function createEmptyCache() {
+  return {
+    version: CACHE_SCHEMA_VERSION,
+    etag: null,
+    watermark: null,
+    coveredSince: null,
+    pullRequests: {},
+    headRefs: {}
+  };
+}
+
+/**
+ * Load the cache of a repository, returning an empty cache if there is none or it is outdated
+ */
+function loadCache(owner, repo, host) {
+  try {
+    const cachePath = getCachePath(owner, repo, host);
+    if (!fs.existsSync(cachePath)) {
+      return createEmptyCache();
+    }
+
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (cache.version !== CACHE_SCHEMA_VERSION) {
+      return createEmptyCache();
+    }
+
+    return cache;
+  } catch (error) {
+    // A corrupt cache file is rebuilt from scratch
+    return createEmptyCache();
+  }
+}
+
+/**
+ * Save the cache of a repository
+ */
+function saveCache(owner, repo, cache, host) {
+  try {
+    const cachePath = getCachePath(owner, repo, host);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(cache), { mode: 0o600 });
+  } catch (error) {
+    console.warn(`⚠️  Could not save PR cache: ${error.message}`);
+  }
+}
+
+/**
+ * Reduce a pull request (REST or normalized GraphQL shape) to the fields the tool uses
+ */
+function toCachedPullRequest(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    state: pr.state,
+    merged: pr.merged !== undefined ? Boolean(pr.merged) : Boolean(pr.merged_at),
+    merged_at: pr.merged_at || null,
+    closed_at: pr.closed_at || null,
+    updated_at: pr.updated_at || null,
+    html_url: pr.html_url || null,
+    merge_commit_sha: pr.merge_commit_sha || null,
+    head: {
+      ref: pr.head.ref,
+      label: pr.head.label,
+      sha: pr.head.sha,
+      repo: pr.head.repo ? { full_name: pr.head.repo.full_name } : null
+    },
+    base: {
+      ref: pr.base ? pr.base.ref : null
+    },
+    user: pr.user ? { login: pr.user.login } : null,
+    labels: (pr.labels || []).map(({ name }) => ({ name })),
+    draft: Boolean(pr.draft)
+  };
+}
+
+/**
+ * Get the cache index key of a head branch ("owner:branch", owner lowercased)
+ */
+function getHeadKey(headOwner, branchName) {
+  return `${headOwner.toLowerCase()}:${branchName}`;
+}
+
+/**
+ * Add pull requests to the cache, indexed by number and head owner and ref
+ */
+function addPullRequests(cache, pullRequests) {
+  pullRequests.forEach(pr => {
+    const cached = toCachedPullRequest(pr);
+    cache.pullRequests[cached.number] = cached;
+
+    const headOwner = cached.head.label.split(':')[0];
+    const key = getHeadKey(headOwner, cached.head.ref);
+    const numbers = cache.headRefs[key] || [];
+    if (!numbers.includes(cached.number)) {
+      numbers.push(cached.number);
+      numbers.sort((a, b) => b - a);
+    }
+    cache.headRefs[key] = numbers;
+  });
+}
+
+/**
+ * Get the cached pull requests for a head branch pushed to headOwner's repository, newest first
+ */
+function getPullRequestsForBranch(cache, branchName, headOwner) {
+  return (cache.headRefs[getHeadKey(headOwner, branchName)] || []).map(number => cache.pullRequests[number]);
+}
+
+/**
+ * Bring the cache up to date with the pull requests on GitHub
+ *
+ * The first refresh (or one that needs to reach further back than before) lists every PR
+ * updated since the given date. Later refreshes only list PRs updated after the newest one
+ * seen so far and send the previous ETag, so an unchanged repository costs a single 304
+ * response. Returns the number of pull requests that were fetched.
+ */
+async function refreshCache(octokit, owner, repo, cache, since) {
+  const needsFullFetch = !cache.coveredSince || new Date(since) < new Date(cache.coveredSince);
+
+  const { pullRequests, etag, notModified } = needsFullFetch
+    ? await githubApi.getUpdatedPullRequests(octokit, owner, repo, { since })
+    : await githubApi.getUpdatedPullRequests(octokit, owner, repo, { since: cache.watermark, etag: cache.etag });
+
+  if (notModified) {
+    return 0;
+  }
+
+  addPullRequests(cache, pullRequests);
+  cache.etag = etag;
+
+  if (needsFullFetch) {
+    cache.coveredSince = since;
+  }
+
+  // Only listed PRs move the watermark, so PRs found by other lookups cannot hide updates
+  pullRequests.forEach(pr => {
+    if (!cache.watermark || new Date(pr.updated_at) > new Date(cache.watermark)) {
+      cache.watermark = pr.updated_at;
+    }
+  });
+  if (!cache.watermark) {
+    cache.watermark = since;
+  }
+
+  return pullRequests.length;
+}
+
+module.exports = {
+  CACHE_SCHEMA_VERSION,
+  getCachePath,
+  createEmptyCache,
+  loadCache,
+  saveCache,
+  toCachedPullRequest,
+  addPullRequests,
+  getPullRequestsForBranch,
+  refreshCache
+};
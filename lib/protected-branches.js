@@ -0,0 +1,105 @@
+const githubApi = require('./github-api');
+
+// Branches that are always protected, whatever the configuration says
+const DEFAULT_PROTECTED_PATTERNS = ['main', 'master', 'develop', 'dev'];
+
+// Ruleset rules that mark a branch as long-lived rather than just gated behind PRs
+const PROTECTING_RULE_TYPES = ['deletion', 'update', 'non_fast_forward'];
+
+/**
+ * Convert a branch glob pattern into a regular expression
+ *
+ * `*` matches within one path segment, `**` matches across segments and `?` matches a
+ * single character, as in `release/*` or `team/**`.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      source += '.*';
+      index++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check if a branch matches any of the protected patterns
+ */
+function isProtectedBranch(branchName, patterns = DEFAULT_PROTECTED_PATTERNS) {
+  return patterns.some(pattern => globToRegExp(pattern).test(branchName));
+}
+
+/**
+ * Get the branch patterns targeted by a ruleset
+ *
+ * Exclusions are ignored, so a ruleset may protect more branches locally than on GitHub,
+ * but never fewer.
+ */
+function getRulesetPatterns(ruleset, defaultBranch) {
+  const refName = (ruleset.conditions && ruleset.conditions.ref_name) || {};
+
+  return (refName.include || []).map(pattern => {
+    if (pattern === '~ALL') {
+      return '**';
+    }
+    if (pattern === '~DEFAULT_BRANCH') {
+      return defaultBranch;
+    }
+    return pattern.replace(/^refs\/heads\//, '');
+  }).filter(Boolean);
+}
+
+/**
+ * Get the protected branch patterns configured on GitHub: branches with branch protection
+ * and the targets of active rulesets that restrict deletion or updates
+ */
+async function getGitHubProtectedPatterns(octokit, owner, repo) {
+  const repository = await githubApi.getRepositoryInfo(octokit, owner, repo);
+  const protectedBranches = await githubApi.getProtectedBranches(octokit, owner, repo);
+  const rulesets = await githubApi.getBranchRulesets(octokit, owner, repo);
+
+  const rulesetPatterns = rulesets
+    .filter(ruleset => (ruleset.rules || []).some(rule => PROTECTING_RULE_TYPES.includes(rule.type)))
+    .flatMap(ruleset => getRulesetPatterns(ruleset, repository.default_branch));
+
+  return [...protectedBranches, ...rulesetPatterns];
+}
+
+/**
+ * Build the list of protected branch patterns for a run
+ *
+ * Combines the defaults, the repository's default branch, the configured patterns and, when
+ * syncing is enabled and a GitHub client is given, the branch protection and rulesets of the
+ * repository.
+ */
+async function resolveProtectedPatterns({ patterns = [], defaultBranch = null, sync = false, octokit = null, repoInfo = null } = {}) {
+  const resolved = [...DEFAULT_PROTECTED_PATTERNS, ...(defaultBranch ? [defaultBranch] : []), ...patterns];
+
+  if (octokit && sync) {
+    try {
+      resolved.push(...await getGitHubProtectedPatterns(octokit, repoInfo.owner, repoInfo.name));
+    } catch (error) {
+      throw new Error(`Failed to sync protected branches from GitHub: ${error.message}`);
+    }
+  }
+
+  return [...new Set(resolved)];
+}
+
+module.exports = {
+  DEFAULT_PROTECTED_PATTERNS,
+  globToRegExp,
+  isProtectedBranch,
+  getRulesetPatterns,
+  getGitHubProtectedPatterns,
+  resolveProtectedPatterns
+};
@@ -0,0 +1,145 @@
+// Retries for rate-limited and transient (5xx) responses before giving up
+const MAX_RETRIES = 3;
+
+// Never wait longer than this for a rate limit to reset; fail instead
+const MAX_WAIT_MS = 15 * 60 * 1000;
+
+// GitHub recommends waiting at least a minute after a secondary rate limit without retry-after
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+// API usage of this process, shared by every client the hook is installed on
+const usage = {
+  requests: 0,
+  notModified: 0,
+  retries: 0,
+  waitedMs: 0,
+  quota: {}
+};
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Record the rate limit headers of a response
+ */
+function recordQuota(headers) {
+  if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+    return;
+  }
+
+  const resource = headers['x-ratelimit-resource'] || 'core';
+  usage.quota[resource] = {
+    limit: Number(headers['x-ratelimit-limit']),
+    remaining: Number(headers['x-ratelimit-remaining']),
+    used: Number(headers['x-ratelimit-used']),
+    reset: new Date(Number(headers['x-ratelimit-reset']) * 1000)
+  };
+}
+
+/**
+ * Determine how long to wait before retrying a failed request, or null if it should not be retried
+ *
+ * Primary rate limits wait until x-ratelimit-reset, secondary rate limits honour retry-after,
+ * and 5xx responses back off exponentially with random jitter.
+ */
+function getRetryDelay(error, attempt, now = Date.now()) {
+  const status = error.status;
+  const headers = (error.response && error.response.headers) || {};
+
+  if (status === 403 || status === 429) {
+    if (headers['retry-after'] !== undefined) {
+      return Number(headers['retry-after']) * 1000;
+    }
+
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset'] !== undefined) {
+      return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - now) + 1000;
+    }
+
+    if (/secondary rate limit|abuse/i.test(error.message)) {
+      return SECONDARY_RATE_LIMIT_WAIT_MS;
+    }
+
+    // A regular permission error
+    return null;
+  }
+
+  if (status >= 500) {
+    return 1000 * Math.pow(2, attempt) + Math.floor(Math.random() * 1000);
+  }
+
+  return null;
+}
+
+/**
+ * Install rate limit detection, waiting and retrying on an Octokit client
+ */
+function install(octokit) {
+  octokit.hook.wrap('request', async (request, options) => {
+    for (let attempt = 0; ; attempt++) {
+      usage.requests++;
+
+      try {
+        const response = await request(options);
+        recordQuota(response.headers);
+        return response;
+      } catch (error) {
+        recordQuota(error.response && error.response.headers);
+
+        if (error.status === 304) {
+          usage.notModified++;
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        if (delay === null || attempt >= MAX_RETRIES) {
+          throw error;
+        }
+
+        if (delay > MAX_WAIT_MS) {
+          const resetAt = new Date(Date.now() + delay).toLocaleTimeString();
+          throw new Error(`GitHub API rate limit exceeded until ${resetAt}: ${error.message}`);
+        }
+
+        console.warn(`⏳ GitHub API ${error.status} for ${options.method} ${options.url}, retrying in ${Math.ceil(delay / 1000)}s...`);
+        usage.retries++;
+        usage.waitedMs += delay;
+        await sleep(delay);
+      }
+    }
+  });
+
+  return octokit;
+}
+
+/**
+ * Get the API usage of this process
+ */
+function getUsage() {
+  return usage;
+}
+
+/**
+ * Format the API usage as a human-readable summary
+ */
+function formatUsageSummary() {
+  const lines = [
+    `📊 API requests: ${usage.requests} (${usage.notModified} not modified, ${usage.retries} retried, ${(usage.waitedMs / 1000).toFixed(1)}s waited)`
+  ];
+
+  Object.entries(usage.quota).forEach(([resource, quota]) => {
+    lines.push(`   ${resource} quota: ${quota.remaining}/${quota.limit} remaining (resets at ${quota.reset.toLocaleTimeString()})`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  install,
+  getRetryDelay,
+  getUsage,
+  formatUsageSummary
+};
@@ -0,0 +1,99 @@
+const MACHINE_READABLE_FORMATS = ['json', 'ndjson'];
+
+/**
+ * Convert a branch status entry into a plain JSON object
+ */
+function toBranchEntry({ branch, pr, status, shouldDelete, reason, extraCommits, localMerge, stale, gone, worktree, filteredOut, gracePeriod, verification, matchedBy, prs, title, error }) {
+  return {
+    branch,
+    prNumber: pr ? pr.number : null,
+    prNumbers: (prs || (pr ? [pr] : [])).map(({ number }) => number),
+    state: pr ? pr.state : null,
+    merged: pr ? Boolean(pr.merged) : (localMerge ? true : null),
+    title: pr ? pr.title : (title || null),
+    reason: reason || null,
+    shouldDelete: Boolean(shouldDelete),
+    error: error || null,
+    status,
+    extraCommits: extraCommits === undefined ? 0 : extraCommits,
+    localMerge: localMerge || null,
+    stale: stale || null,
+    gone: gone || null,
+    worktree: worktree || null,
+    filteredOut: filteredOut || null,
+    gracePeriod: gracePeriod || null,
+    verification: verification || null,
+    matchedBy: matchedBy || null
+  };
+}
+
+/**
+ * Create a reporter that collects results and writes them as JSON or NDJSON
+ *
+ * 'json' writes a single document when finish() is called; 'ndjson' writes one line per
+ * branch as soon as it is reported and a summary line at the end. For the human format
+ * all methods are no-ops, since results are printed as they happen.
+ */
+function createReporter(format = 'human', stream = process.stdout) {
+  const isMachineReadable = MACHINE_READABLE_FORMATS.includes(format);
+  const branches = [];
+  const summary = {
+    deleted: [],
+    remoteDeleted: [],
+    failed: [],
+    skipped: []
+  };
+
+  function writeLine(value) {
+    stream.write(`${JSON.stringify(value)}\n`);
+  }
+
+  return {
+    isMachineReadable,
+
+    reportBranches(branchStatus) {
+      branchStatus.forEach(status => {
+        const entry = toBranchEntry(status);
+        branches.push(entry);
+        if (format === 'ndjson') {
+          writeLine({ type: 'branch', ...entry });
+        }
+      });
+    },
+
+    recordDeleted(branch, reason) {
+      summary.deleted.push({ branch, reason });
+    },
+
+    recordRemoteDeleted(branch, remoteBranch) {
+      summary.remoteDeleted.push({ branch, remoteBranch });
+    },
+
+    recordFailed(branch, error, remote = false) {
+      summary.failed.push({ branch, error, remote });
+    },
+
+    recordSkipped(branch, reason, remote = false) {
+      summary.skipped.push({ branch, reason, remote });
+    },
+
+    finish(details = {}) {
+      if (!isMachineReadable) {
+        return;
+      }
+
+      const result = { ...details, error: details.error || null, ...summary };
+      if (format === 'ndjson') {
+        writeLine({ type: 'summary', ...result });
+      } else {
+        stream.write(`${JSON.stringify({ branches, summary: result }, null, 2)}\n`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  MACHINE_READABLE_FORMATS,
+  toBranchEntry,
+  createReporter
+};
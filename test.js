@@ -4,10 +4,59 @@
  * Simple test script to validate the GitHub branch cleaner modules
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
 const gitOps = require('./lib/git-operations');
 const githubApi = require('./lib/github-api');
 const branchMatcher = require('./lib/branch-matcher');
 
+// Fixed identity for the commits made in temporary repositories
+const TEST_GIT_ENV = {
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+/**
+ * Run git with an array of arguments in a directory, returning its trimmed stdout
+ */
+function runGitIn(cwd, args, env = {}) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...process.env, ...TEST_GIT_ENV, ...env }
+  }).trim();
+}
+
+/**
+ * Run test({ root, repository, git }) inside a new temporary git repository
+ *
+ * The repository is created in root/repo with one empty commit on options.branch, and is the
+ * working directory while the test runs; git(...args) runs git in it with options.env. The
+ * working directory is restored and root removed afterwards, also when the test throws.
+ */
+async function withTemporaryRepository(test, { branch = 'main', env = {} } = {}) {
+  const originalDirectory = process.cwd();
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'branch-cleaner-'));
+  const repository = path.join(root, 'repo');
+  const git = (...args) => runGitIn(repository, args, env);
+
+  try {
+    fs.mkdirSync(repository);
+    git('init', '-q', '-b', branch);
+    git('commit', '-q', '--allow-empty', '-m', 'initial');
+    process.chdir(repository);
+    return await test({ root, repository, git });
+  } finally {
+    process.chdir(originalDirectory);
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
 async function runTests() {
   console.log('🧪 Running GitHub Branch Cleaner Tests\n');
 
@@ -42,7 +91,7 @@ async function runTests() {
   console.log('\nTest 4: Get repository info');
   try {
     const repoInfo = await gitOps.getRepositoryInfo();
-    console.log(`✅ Repository: ${repoInfo.owner}/${repoInfo.name}`);
+    console.log(`✅ Repository: ${repoInfo.host}/${repoInfo.owner}/${repoInfo.name}`);
   } catch (error) {
     console.log(`⚠️  Repository info test: ${error.message}`);
     console.log('   (This is expected if no GitHub remote is configured)');
@@ -74,54 +123,962 @@ async function runTests() {
     console.log(`   PR ${index + 1} (${status}): ${shouldDelete ? '🗑️  Delete' : '✅ Keep'}`);
   });
 
+  // Test 6b: Branches that diverged after their PR merged
+  console.log('\nTest 6b: Diverged branch handling');
+  const mergedPR = { state: 'closed', merged: true };
+  [
+    { extraCommits: 0, options: { merged: true } },
+    { extraCommits: 2, options: { merged: true } },
+    { extraCommits: null, options: { merged: true } },
+    { extraCommits: 2, options: { merged: true, includeDiverged: true } }
+  ].forEach(({ extraCommits, options }) => {
+    const shouldDelete = branchMatcher.shouldDeleteBranch(mergedPR, options, extraCommits);
+    const status = branchMatcher.getPRStatusSummary(mergedPR, extraCommits);
+    const override = options.includeDiverged ? ' with --include-diverged' : '';
+    console.log(`   ${status}${override}: ${shouldDelete ? '🗑️  Delete' : '✅ Keep'}`);
+  });
+
   // Test 7: Token loading functionality
   console.log('\nTest 7: Token loading functionality');
   try {
-    // Test the loadGitHubToken function (we need to import it or recreate the logic)
-    const fs = require('fs');
-    const path = require('path');
-    const os = require('os');
+    const auth = require('./lib/auth');
 
-    const AUTH_FILE_PATH = path.join(os.homedir(), '.github-branch-cleaner-auth');
+    const credentials = auth.findGitHubToken();
+    if (credentials) {
+      console.log('✅ GitHub token found and loaded successfully');
+      console.log(`   Source: ${credentials.source}`);
 
-    function loadGitHubToken() {
+      // Test GitHub API initialization
       try {
-        if (fs.existsSync(AUTH_FILE_PATH)) {
-          const authFileContent = fs.readFileSync(AUTH_FILE_PATH, 'utf8');
-          // Simple parsing of GITHUB_TOKEN=value format
-          const lines = authFileContent.split('\n');
-          for (const line of lines) {
-            const trimmedLine = line.trim();
-            if (trimmedLine.startsWith('GITHUB_TOKEN=')) {
-              return trimmedLine.substring('GITHUB_TOKEN='.length);
+        const github = githubApi.initialize(credentials.token);
+        console.log('✅ GitHub API client initialized successfully');
+      } catch (error) {
+        console.log(`❌ GitHub API initialization failed: ${error.message}`);
+      }
+    } else {
+      console.log('⚠️  No GitHub token found');
+      console.log('   Run "node index.js --login" to set up authentication');
+    }
+  } catch (error) {
+    console.log(`❌ Token loading test failed: ${error.message}`);
+  }
+
+  // Test 8: Remote deletion planning
+  console.log('\nTest 8: Remote deletion planning');
+  try {
+    const existingRemoteBranches = ['feature/merged', 'feature/pushed-after-merge', 'release'];
+    const fakeOctokit = {
+      paginate: async () => [{ name: 'release' }],
+      rest: {
+        repos: {
+          get: async () => ({ data: { default_branch: 'main' } }),
+          listBranches: async () => ({ data: [] })
+        },
+        git: {
+          getRef: async ({ ref }) => {
+            const name = ref.replace(/^heads\//, '');
+            if (existingRemoteBranches.includes(name)) {
+              return { data: { object: { sha: `${name}-tip` } } };
+            }
+            const error = new Error('Not Found');
+            error.status = 404;
+            throw error;
+          }
+        }
+      }
+    };
+
+    const ownRepo = { full_name: 'owner/repo' };
+    const entries = [
+      { branch: 'feature/merged', pr: { number: 1, merged: true, head: { ref: 'feature/merged', sha: 'feature/merged-tip', repo: ownRepo } } },
+      { branch: 'feature/pushed-after-merge', pr: { number: 6, merged: true, head: { ref: 'feature/pushed-after-merge', sha: 'older-tip', repo: ownRepo } } },
+      { branch: 'feature/gone', pr: { number: 2, merged: true, head: { ref: 'feature/gone', repo: ownRepo } } },
+      { branch: 'release', pr: { number: 3, merged: true, head: { ref: 'release', sha: 'release-tip', repo: ownRepo } } },
+      { branch: 'main', pr: { number: 4, merged: true, head: { ref: 'main', repo: ownRepo } } },
+      { branch: 'fork-fix', pr: { number: 5, merged: true, head: { ref: 'fork-fix', repo: { full_name: 'someone/repo' } } } }
+    ];
+
+    await branchMatcher.planRemoteDeletions(fakeOctokit, { owner: 'owner', name: 'repo' }, entries);
+    entries.forEach(({ branch, remote }) => {
+      console.log(`   ${branch}: ${remote.shouldDelete ? '🗑️  Delete on GitHub' : `✅ Keep on GitHub (${remote.reason})`}`);
+    });
+  } catch (error) {
+    console.log(`❌ Remote deletion planning test failed: ${error.message}`);
+  }
+
+  // Test 9: Offline merge detection
+  console.log('\nTest 9: Offline merge detection');
+  try {
+    const defaultBranch = await gitOps.getDefaultBranch();
+    const currentBranch = await gitOps.getCurrentBranch();
+    const { merged, method } = await branchMatcher.detectLocalMerge(currentBranch, defaultBranch);
+    console.log(`✅ Default branch: ${defaultBranch}`);
+    console.log(`   ${currentBranch}: ${merged ? `merged into ${defaultBranch} (${method})` : `not merged into ${defaultBranch}`}`);
+  } catch (error) {
+    console.log(`⚠️  Offline merge detection test: ${error.message}`);
+    console.log('   (This is expected if the repository has no main/master branch or remote HEAD)');
+  }
+
+  // Test 10: Batched GraphQL PR lookup
+  console.log('\nTest 10: Batched GraphQL PR lookup');
+  try {
+    let queryCount = 0;
+    const fakeOctokit = {
+      graphql: async (query, variables) => {
+        queryCount++;
+        const repository = {};
+        Object.keys(variables).filter(key => key.startsWith('ref')).forEach(key => {
+          const nodes = variables[key] === 'feature/merged'
+            ? [{
+              number: 42,
+              title: 'Merged feature',
+              state: 'MERGED',
+              merged: true,
+              headRefName: 'feature/merged',
+              headRefOid: 'abc123',
+              baseRefName: 'main',
+              mergeCommit: { oid: 'def456' },
+              headRepository: { nameWithOwner: 'owner/repo' }
+            }]
+            : [];
+          repository[key.replace('ref', 'pr')] = { nodes, pageInfo: { hasNextPage: false } };
+        });
+        return { repository };
+      }
+    };
+
+    const branches = Array.from({ length: 60 }, (_, index) => `feature/${index}`).concat('feature/merged');
+    const prsByRef = await githubApi.getPullRequestsByHeadRefs(fakeOctokit, 'owner', 'repo', branches);
+    const [pr] = prsByRef.get('feature/merged');
+    console.log(`✅ Looked up ${prsByRef.size} branches in ${queryCount} queries`);
+    console.log(`   feature/merged: PR #${pr.number} state=${pr.state} merged=${pr.merged} head=${pr.head.sha} merge=${pr.merge_commit_sha}`);
+
+    // A branch with more PRs than fit on a page: the open one is older than ten closed ones
+    const prNode = (number, state) => ({ number, title: `PR ${number}`, state, headRefName: 'busy', headRefOid: 'abc123', baseRefName: 'main' });
+    const pagedOctokit = {
+      graphql: async (query, variables) => {
+        if (variables.cursor) {
+          return { repository: { pullRequests: { nodes: [prNode(1, 'OPEN')], pageInfo: { hasNextPage: false } } } };
+        }
+        const nodes = Array.from({ length: 10 }, (_, index) => prNode(20 - index, 'CLOSED'));
+        return { repository: { pr0: { nodes, pageInfo: { hasNextPage: true, endCursor: 'page2' } } } };
+      }
+    };
+    const busyPRs = (await githubApi.getPullRequestsByHeadRefs(pagedOctokit, 'owner', 'repo', ['busy'])).get('busy');
+    const { pr: chosen } = branchMatcher.choosePullRequest(busyPRs);
+    console.log(`   busy: ${busyPRs.length} PRs over two pages, chosen PR #${chosen.number} (${chosen.state})`);
+  } catch (error) {
+    console.log(`❌ GraphQL PR lookup test failed: ${error.message}`);
+  }
+
+  // Test 11: PR cache indexing and conditional refresh
+  console.log('\nTest 11: PR cache');
+  try {
+    const prCache = require('./lib/pr-cache');
+    const listCalls = [];
+    const fakeOctokit = {
+      rest: {
+        pulls: {
+          list: async (params) => {
+            listCalls.push(params);
+            if (params.headers && params.headers['if-none-match'] === '"v1"') {
+              const error = new Error('Not Modified');
+              error.status = 304;
+              throw error;
             }
+            return {
+              headers: { etag: '"v1"' },
+              data: [
+                { number: 7, title: 'Newer', state: 'open', merged_at: null, updated_at: '2025-02-01T00:00:00Z', head: { ref: 'feature/a', label: 'owner:feature/a', sha: 'b' } },
+                { number: 3, title: 'Older', state: 'closed', merged_at: '2025-01-10T00:00:00Z', updated_at: '2025-01-10T00:00:00Z', head: { ref: 'feature/a', label: 'owner:feature/a', sha: 'a' } },
+                { number: 5, title: 'Fork', state: 'open', merged_at: null, updated_at: '2025-01-20T00:00:00Z', head: { ref: 'feature/a', label: 'someone:feature/a', sha: 'c' } }
+              ]
+            };
           }
         }
+      }
+    };
+
+    const cache = prCache.createEmptyCache();
+    const firstFetch = await prCache.refreshCache(fakeOctokit, 'owner', 'repo', cache, '2025-01-01T00:00:00Z');
+    const secondFetch = await prCache.refreshCache(fakeOctokit, 'owner', 'repo', cache, '2025-01-01T00:00:00Z');
+    const cachedPRs = prCache.getPullRequestsForBranch(cache, 'feature/a', 'owner');
+
+    console.log(`✅ Schema version: ${cache.version}, path: ${prCache.getCachePath('owner', 'repo')}`);
+    console.log(`   First refresh fetched ${firstFetch} PRs, second refresh fetched ${secondFetch} PRs (${listCalls.length} requests)`);
+    console.log(`   owner:feature/a: ${cachedPRs.map(pr => `#${pr.number} (${pr.merged ? 'merged' : pr.state})`).join(', ')}`);
+  } catch (error) {
+    console.log(`❌ PR cache test failed: ${error.message}`);
+  }
+
+  // Test 12: Rate limit retry decisions
+  console.log('\nTest 12: Rate limit retry decisions');
+  const rateLimiter = require('./lib/rate-limiter');
+  const now = Date.now();
+  const retryCases = [
+    { name: 'Primary rate limit', error: { status: 403, message: 'API rate limit exceeded', response: { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(now / 1000) + 30) } } } },
+    { name: 'Secondary rate limit', error: { status: 403, message: 'You have exceeded a secondary rate limit', response: { headers: { 'retry-after': '5' } } } },
+    { name: 'Server error', error: { status: 502, message: 'Bad Gateway', response: { headers: {} } } },
+    { name: 'Permission error', error: { status: 403, message: 'Resource not accessible by integration', response: { headers: { 'x-ratelimit-remaining': '4999' } } } },
+    { name: 'Not found', error: { status: 404, message: 'Not Found', response: { headers: {} } } }
+  ];
+
+  retryCases.forEach(({ name, error }) => {
+    const delay = rateLimiter.getRetryDelay(error, 0, now);
+    console.log(`   ${name}: ${delay === null ? '❌ No retry' : `⏳ Retry in ~${Math.ceil(delay / 1000)}s`}`);
+  });
+
+  // Test 13: Machine-readable output
+  console.log('\nTest 13: Machine-readable output');
+  try {
+    const reporter = require('./lib/reporter');
+    const lines = [];
+    const stream = { write: (chunk) => lines.push(...chunk.trim().split('\n')) };
+    const report = reporter.createReporter('ndjson', stream);
+
+    report.reportBranches([
+      { branch: 'feature/done', pr: { number: 1, state: 'closed', merged: true, title: 'Done' }, status: 'merged PR #1 - "Done"', shouldDelete: true, reason: 'merged' },
+      { branch: 'feature/broken', pr: null, status: 'Error: Not Found', shouldDelete: false, error: 'Not Found' }
+    ]);
+    report.recordDeleted('feature/done', 'merged');
+    report.recordSkipped('feature/broken', 'Error: Not Found');
+    report.recordSkipped('feature/checked-out', 'local branch was not deleted', true);
+    report.finish({ dryRun: false, cancelled: false });
+
+    const parsed = lines.map(line => JSON.parse(line));
+    console.log(`✅ ${parsed.length} valid NDJSON lines: ${parsed.map(entry => entry.type).join(', ')}`);
+    console.log(`   Summary: deleted ${parsed[2].deleted.length}, skipped ${parsed[2].skipped.length}`);
+    console.log(`   Skipped on GitHub: ${parsed[2].skipped.filter(({ remote }) => remote).map(({ branch, reason }) => `${branch} (${reason})`).join(', ')}`);
+
+    const failedLines = [];
+    const failedReport = reporter.createReporter('json', { write: (chunk) => failedLines.push(chunk) });
+    failedReport.finish({ dryRun: false, cancelled: false, error: 'Not a git repository' });
+    console.log(`   Summary of a failed run: error "${JSON.parse(failedLines.join('')).summary.error}"`);
+  } catch (error) {
+    console.log(`❌ Machine-readable output test failed: ${error.message}`);
+  }
+
+  // Test 14: Interactive checklist keys
+  console.log('\nTest 14: Interactive checklist keys');
+  const interactiveSelect = require('./lib/interactive-select');
+  const duration = require('./lib/duration');
+  let selection = interactiveSelect.createSelectionState([
+    { branch: 'feature/merged', prNumber: 1, state: 'merged', title: 'Merged', age: '2 days ago', merged: true },
+    { branch: 'feature/closed', prNumber: 2, state: 'closed', title: 'Closed', age: '3 weeks ago', merged: false }
+  ]);
+  [{ name: 'n' }, { name: 'down' }, { name: 'space' }, { name: 'm' }].forEach(key => {
+    selection = interactiveSelect.applyKey(selection, key);
+    const checked = selection.items.filter((item, index) => selection.checked[index]).map(item => item.branch);
+    console.log(`   ${key.name}: [${checked.join(', ')}] cursor=${selection.cursor}`);
+  });
+  console.log(`   Age of a 10 day old commit: ${duration.formatAge(new Date(Date.now() - 10 * 24 * 60 * 60 * 1000))}`);
+
+  // Test 15: Undo journal sessions
+  console.log('\nTest 15: Undo journal sessions');
+  try {
+    const journal = require('./lib/journal');
+    const sessions = journal.groupSessions([
+      { type: 'delete', session: '20250101-090000', timestamp: '2025-01-01T09:00:00Z', branch: 'feature/a', sha: 'a'.repeat(40) },
+      { type: 'delete', session: '20250101-090000', timestamp: '2025-01-01T09:00:01Z', branch: 'feature/b', sha: 'b'.repeat(40) },
+      { type: 'delete', session: '20250202-100000', timestamp: '2025-02-02T10:00:00Z', branch: 'feature/c', sha: 'c'.repeat(40) }
+    ]);
+    console.log(`✅ Session id for 2025-03-04T05:06:07Z: ${journal.createSessionId(new Date('2025-03-04T05:06:07Z'))}`);
+    sessions.forEach(({ id, deletions }) => {
+      console.log(`   ${id}: ${deletions.map(({ branch }) => branch).join(', ')}`);
+    });
+    console.log(`   Journal file: ${await journal.getJournalPath()}`);
+  } catch (error) {
+    console.log(`❌ Undo journal test failed: ${error.message}`);
+  }
+
+  // Test 16: Fork PR matching
+  console.log('\nTest 16: Fork PR matching');
+  const forkRepoInfo = { owner: 'upstream-org', name: 'repo', headOwner: 'me', headName: 'repo' };
+  [
+    { head: { ref: 'fix', label: 'me:fix' } },
+    { head: { ref: 'fix', label: 'someone-else:fix' } },
+    { head: { ref: 'fix', label: 'upstream-org:fix' } }
+  ].forEach(pr => {
+    const matches = branchMatcher.isPRFromBranch(pr, forkRepoInfo, 'fix');
+    console.log(`   ${pr.head.label}: ${matches ? '✅ Matches local fix' : '❌ Different branch'}`);
+  });
+  console.log(`   Head repository: ${Object.values(branchMatcher.getHeadRepository(forkRepoInfo)).join('/')}`);
+
+  // Test 17: Remote URL parsing and GitHub hosts
+  console.log('\nTest 17: Remote URL parsing and GitHub hosts');
+  [
+    'git@github.com:owner/repo.git',
+    'https://github.com/owner/repo',
+    'ssh://git@ghe.example.com:2222/owner/repo.git',
+    'https://ghe.example.com:8443/owner/repo.git',
+    '/srv/git/repo.git'
+  ].forEach(url => {
+    const parsed = gitOps.parseRemoteUrl(url, '/nonexistent/ssh-config');
+    const api = parsed ? githubApi.getApiBaseUrl(parsed.host) : null;
+    console.log(`   ${url}: ${parsed ? `${parsed.host} ${parsed.owner}/${parsed.name} → ${api}` : '❌ Not a GitHub remote'}`);
+  });
+  try {
+    const auth = require('./lib/auth');
+    const tokens = auth.parseAuthFile('# comment\nGITHUB_TOKEN=public-token\nGITHUB_TOKEN@ghe.example.com=enterprise-token\n');
+    console.log(`   Auth file tokens: ${[...tokens.keys()].join(', ')} (keys: ${[...tokens.keys()].map(host => auth.getTokenKey(host)).join(', ')})`);
+  } catch (error) {
+    console.log(`❌ Auth file parsing test failed: ${error.message}`);
+  }
+
+  // Test 18: Token discovery sources
+  console.log('\nTest 18: Token discovery sources');
+  try {
+    const auth = require('./lib/auth');
+    const ghHosts = [
+      'github.com:',
+      '    user: octocat',
+      '    oauth_token: gho_public',
+      '    users:',
+      '        octocat:',
+      '            oauth_token: gho_public',
+      'ghe.example.com:',
+      '    oauth_token: "gho_enterprise"'
+    ].join('\n');
+    console.log(`   gh hosts.yml github.com: ${auth.parseGhHostsToken(ghHosts, 'github.com')}`);
+    console.log(`   gh hosts.yml ghe.example.com: ${auth.parseGhHostsToken(ghHosts, 'ghe.example.com')}`);
+    console.log(`   gh hosts.yml other.example.com: ${auth.parseGhHostsToken(ghHosts, 'other.example.com')}`);
+    console.log(`   Environment variables for github.com: ${auth.getTokenEnvironmentVariables('github.com').join(', ')}`);
+    console.log(`   Environment variables for ghe.example.com: ${auth.getTokenEnvironmentVariables('ghe.example.com').join(', ')}`);
+    ['ghe.example.com', 'gitlab.com'].forEach(host => {
+      const leaks = auth.getTokenEnvironmentVariables(host).filter(variable => ['GITHUB_TOKEN', 'GH_TOKEN'].includes(variable));
+      console.log(`   github.com tokens sent to ${host}: ${leaks.length > 0 ? `❌ ${leaks.join(', ')}` : '✅ none'}`);
+    });
+  } catch (error) {
+    console.log(`❌ Token discovery test failed: ${error.message}`);
+  }
+
+  // Test 19: Repository discovery for --recursive
+  console.log('\nTest 19: Repository discovery for --recursive');
+  try {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'branch-cleaner-'));
+    ['clients/app/.git', 'clients/app/vendor/lib/.git', 'tools/.git', 'node_modules/dep/.git', '.hidden/repo/.git', 'notes']
+      .forEach(directory => fs.mkdirSync(path.join(root, directory), { recursive: true }));
+    fs.writeFileSync(path.join(root, 'notes', '.git'), 'gitdir: ../elsewhere\n');
+
+    const repositories = gitOps.findGitRepositories(root).map(directory => path.relative(root, directory));
+    console.log(`   Found: ${repositories.join(', ')}`);
+    fs.rmSync(root, { recursive: true, force: true });
+  } catch (error) {
+    console.log(`❌ Repository discovery test failed: ${error.message}`);
+  }
+
+  // Test 20: Protected branch patterns
+  console.log('\nTest 20: Protected branch patterns');
+  try {
+    const protection = require('./lib/protected-branches');
+    const patterns = [...protection.DEFAULT_PROTECTED_PATTERNS, 'release/*', 'team/**', 'v?'];
+    ['main', 'release/1.0', 'release/1.0/fix', 'team/a/b', 'v1', 'v10', 'feature/release'].forEach(branch => {
+      console.log(`   ${branch}: ${protection.isProtectedBranch(branch, patterns) ? '🛡️ protected' : 'not protected'}`);
+    });
+
+    const fakeOctokit = {
+      paginate: async (method) => method(),
+      rest: {
+        repos: {
+          get: async () => ({ data: { default_branch: 'trunk' } }),
+          listBranches: () => [{ name: 'staging' }],
+          getRepoRulesets: () => [{ id: 1, target: 'branch' }, { id: 2, target: 'branch' }, { id: 3, target: 'tag' }],
+          getRepoRuleset: async ({ ruleset_id: id }) => ({
+            data: id === 1
+              ? { enforcement: 'active', rules: [{ type: 'deletion' }], conditions: { ref_name: { include: ['~DEFAULT_BRANCH', 'refs/heads/hotfix/*'] } } }
+              : { enforcement: 'active', rules: [{ type: 'pull_request' }], conditions: { ref_name: { include: ['~ALL'] } } }
+          })
+        }
+      }
+    };
+    const synced = await protection.getGitHubProtectedPatterns(fakeOctokit, 'owner', 'repo');
+    console.log(`   Synced from GitHub: ${synced.join(', ')}`);
+  } catch (error) {
+    console.log(`❌ Protected branch test failed: ${error.message}`);
+  }
+
+  // Test 21: Configuration levels
+  console.log('\nTest 21: Configuration levels');
+  try {
+    const config = require('./lib/config');
+    const levels = [
+      { source: 'user config', values: { merged: true, protect: ['release/*'], format: 'json' } },
+      { source: 'repository config', values: { closed: true, protect: ['staging'], searchBufferDays: 10 } },
+      { source: 'git config', values: { format: config.parseValue('format', 'ndjson', 'git config'), force: config.parseValue('force', 'yes', 'git config') } }
+    ];
+    const { values, sources } = config.resolveConfig(levels, { format: 'human', protect: ['hotfix/*'] });
+    ['merged', 'closed', 'protect', 'format', 'force', 'searchBufferDays', 'remoteName'].forEach(key => {
+      console.log(`   ${key}: ${JSON.stringify(values[key])} from ${sources[key].join(', ')}`);
+    });
+
+    [
+      ['format', 'xml', 'test config'],
+      ['searchBufferDays', 'soon', 'test config'],
+      ['colour', true, 'test config'],
+      ['force', true, 'repository config'],
+      ['remote', true, 'repository config'],
+      ['includeDiverged', true, 'repository config'],
+      ['removeWorktrees', true, 'repository config'],
+      ['remoteName', 'fork', 'repository config']
+    ].forEach(([key, value, source]) => {
+      try {
+        config.parseValue(key, value, source, source !== 'repository config');
+        console.log(`   ❌ ${key}=${value} was accepted`);
       } catch (error) {
-        // Ignore errors reading auth file
+        console.log(`   Rejected: ${error.message}`);
       }
+    });
+  } catch (error) {
+    console.log(`❌ Configuration test failed: ${error.message}`);
+  }
 
-      return null;
-    }
+  // Test 22: Stale branches without a PR
+  console.log('\nTest 22: Stale branches without a PR');
+  try {
+    const duration = require('./lib/duration');
+    ['90d', '12w', '6m', '1 year'].forEach(value => {
+      console.log(`   ${value}: ${duration.parseDuration(value) / duration.DAY_MS} days`);
+    });
 
-    const token = loadGitHubToken();
-    if (token) {
-      console.log('✅ GitHub token found and loaded successfully');
-      console.log('   Source: Auth file');
+    const oldDate = '2020-01-01T00:00:00Z';
+    await withTemporaryRepository(async ({ repository, git }) => {
+      const now = new Date().toISOString();
+      git('branch', 'contained');
+      git('checkout', '-q', '-b', 'experiment');
+      git('commit', '-q', '--allow-empty', '-m', 'old experiment');
+      git('checkout', '-q', '-b', 'recent', 'main');
+      runGitIn(repository, ['commit', '-q', '--allow-empty', '-m', 'recent work'], { GIT_AUTHOR_DATE: now, GIT_COMMITTER_DATE: now });
+      git('checkout', '-q', 'main');
+
+      const branchStatus = ['contained', 'experiment', 'recent'].map(branch => ({ branch, pr: null, status: 'No PR found' }));
+      const staleBranches = await branchMatcher.findStaleBranches(branchStatus, { stale: '90d' }, 'main', 'main');
+      branchStatus.forEach(({ branch, status }) => console.log(`   ${branch}: ${status}`));
+      console.log(`   Stale: ${staleBranches.map(({ branch }) => branch).join(', ')}`);
+
+      const withOverride = [{ branch: 'experiment', pr: null, status: 'No PR found' }];
+      const overridden = await branchMatcher.findStaleBranches(withOverride, { stale: '90d', includeDiverged: true }, 'main', 'main');
+      console.log(`   Stale with --include-diverged: ${overridden.map(({ branch }) => branch).join(', ')}`);
+    }, { env: { GIT_AUTHOR_DATE: oldDate, GIT_COMMITTER_DATE: oldDate } });
+  } catch (error) {
+    console.log(`❌ Stale branch test failed: ${error.message}`);
+  }
+
+  // Test 23: Branches with a gone upstream
+  console.log('\nTest 23: Branches with a gone upstream');
+  try {
+    await withTemporaryRepository(async ({ git }) => {
+      git('remote', 'add', 'origin', 'https://github.com/owner/repo.git');
+      ['pruned', 'tracked', 'unpushed', 'failed', 'closed-pr', 'closed-extra'].forEach(branch => {
+        git('branch', branch);
+        git('config', `branch.${branch}.remote`, 'origin');
+        git('config', `branch.${branch}.merge`, `refs/heads/${branch}`);
+      });
+      git('update-ref', 'refs/remotes/origin/tracked', 'HEAD');
+      git('checkout', '-q', 'unpushed');
+      git('commit', '-q', '--allow-empty', '-m', 'local only');
+      git('checkout', '-q', 'closed-extra');
+      git('commit', '-q', '--allow-empty', '-m', 'after the PR was closed');
+      git('checkout', '-q', 'main');
+      const closedPR = { number: 8, state: 'closed', merged: false, head: { ref: 'closed', sha: git('rev-parse', 'main') } };
+
+      const gone = await gitOps.getGoneBranches();
+      console.log(`   Gone: ${gone.map(({ branch, upstream }) => `${branch} (${upstream})`).join(', ')}`);
+
+      const branchStatus = [
+        { branch: 'pruned', pr: null, status: 'No PR found' },
+        { branch: 'tracked', pr: null, status: 'No PR found' },
+        { branch: 'unpushed', pr: null, status: 'No PR found' },
+        { branch: 'failed', pr: null, status: 'Error: rate limited', error: 'rate limited' },
+        { branch: 'closed-pr', pr: closedPR, status: 'closed PR #8' },
+        { branch: 'closed-extra', pr: closedPR, status: 'closed PR #8' }
+      ];
+      const toDelete = await branchMatcher.addGoneBranches(branchStatus, [], {}, 'main');
+      console.log(`   To delete: ${toDelete.map(({ branch, reason }) => `${branch} (${reason})`).join(', ')}`);
+      branchStatus
+        .filter(({ gone, shouldDelete }) => gone && !shouldDelete)
+        .forEach(({ branch, status }) => console.log(`   Kept ${branch}: ${status}`));
+
+      const withOverride = [{ branch: 'unpushed', pr: null, status: 'No PR found' }];
+      await branchMatcher.addGoneBranches(withOverride, [], { includeDiverged: true }, 'main');
+      console.log(`   unpushed with --include-diverged: ${withOverride[0].shouldDelete ? '🗑️  Delete' : '✅ Keep'}`);
+
+      const trackingRef = await gitOps.getUpstreamTrackingRef('tracked');
+      await gitOps.deleteBranch('tracked');
+      await gitOps.deleteRef(trackingRef);
+      const upstreamConfig = await gitOps.getBranchUpstreamConfig('tracked');
+      const leftovers = [
+        git('for-each-ref', 'refs/remotes'),
+        upstreamConfig && `branch.tracked.remote ${upstreamConfig.remote}`
+      ].filter(Boolean).join('\n');
+      console.log(`   After deleting tracked (${trackingRef}): ${leftovers || 'no tracking ref or config left'}`);
+    });
+  } catch (error) {
+    console.log(`❌ Gone upstream test failed: ${error.message}`);
+  }
+
+  // Test 24: Matching branches by upstream ref and commit
+  console.log('\nTest 24: Matching branches by upstream ref and commit');
+  try {
+    await withTemporaryRepository(async ({ git }) => {
+      git('remote', 'add', 'origin', 'https://github.com/owner/repo.git');
+      ['plain', 'fix', 'renamed', 'unknown'].forEach(branch => {
+        git('checkout', '-q', '-b', branch, 'main');
+        git('commit', '-q', '--allow-empty', '-m', `${branch} work`);
+      });
+      git('checkout', '-q', 'main');
+      git('config', 'branch.fix.remote', 'origin');
+      git('config', 'branch.fix.merge', 'refs/heads/jan/fix-login');
+      const renamedSha = git('rev-parse', 'renamed');
+
+      const node = (number, ref) => ({
+        number,
+        title: `PR for ${ref}`,
+        state: 'MERGED',
+        merged: true,
+        headRefName: ref,
+        headRefOid: 'abc123',
+        baseRefName: 'main',
+        mergeCommit: { oid: 'def456' },
+        headRepository: { nameWithOwner: 'owner/repo' },
+        headRepositoryOwner: { login: 'owner' }
+      });
+      const fakeOctokit = {
+        graphql: async (query, variables) => {
+          const repository = {};
+          Object.keys(variables).filter(key => key.startsWith('ref')).forEach(key => {
+            const nodes = { plain: [node(1, 'plain')], 'jan/fix-login': [node(2, 'jan/fix-login')] }[variables[key]] || [];
+            repository[key.replace('ref', 'pr')] = { nodes, pageInfo: { hasNextPage: false } };
+          });
+          return { repository };
+        },
+        rest: {
+          repos: {
+            listPullRequestsAssociatedWithCommit: async ({ commit_sha: sha }) => ({
+              data: sha === renamedSha
+                ? [{ number: 3, title: 'Renamed', state: 'closed', merged_at: '2024-01-01T00:00:00Z', merge_commit_sha: 'fed654', head: { ref: 'other-name', label: 'owner:other-name' } }]
+                : []
+            })
+          }
+        }
+      };
+
+      const matched = await branchMatcher.matchPullRequests(fakeOctokit, { owner: 'owner', name: 'repo' }, ['plain', 'fix', 'renamed', 'unknown'], { cache: false });
+      matched.forEach(({ pr, matchedBy }, branch) => {
+        console.log(`   ${branch}: ${pr ? `PR #${pr.number} (${branchMatcher.formatMatchMethod(matchedBy)})` : 'No PR found'}`);
+      });
+    });
+  } catch (error) {
+    console.log(`❌ Branch matching test failed: ${error.message}`);
+  }
+
+  // Test 25: Branches with several PRs
+  console.log('\nTest 25: Branches with several PRs');
+  try {
+    const cases = [
+      ['closed, then merged', [{ number: 4, state: 'closed', merged: false }, { number: 9, state: 'closed', merged: true }]],
+      ['merged, then reopened as a new PR', [{ number: 12, state: 'open', merged: false }, { number: 9, state: 'closed', merged: true }]],
+      ['open, then a newer closed PR', [{ number: 5, state: 'open', merged: false }, { number: 7, state: 'closed', merged: false }]],
+      ['no PRs', []]
+    ];
+    cases.forEach(([name, prs]) => {
+      const { pr, prs: sorted } = branchMatcher.choosePullRequest(prs);
+      const chosen = pr ? `PR #${pr.number} (${pr.merged ? 'merged' : pr.state})` : 'none';
+      console.log(`   ${name}: ${chosen} of [${sorted.map(({ number }) => `#${number}`).join(', ')}]`);
+    });
+
+    // The per-branch fallback lookup reports every PR too, with details for the chosen one
+    const fallbackOctokit = {
+      rest: {
+        pulls: {
+          list: async () => ({ data: [{ number: 4, state: 'closed' }, { number: 9, state: 'closed' }] }),
+          get: async ({ pull_number: number }) => ({ data: { number, state: 'closed', merged: true } })
+        }
+      }
+    };
+    const { pr, prs } = await branchMatcher.findPullRequestsForBranch(fallbackOctokit, { owner: 'owner', name: 'repo' }, 'feature');
+    console.log(`   Fallback lookup: PR #${pr.number} (${pr.merged ? 'merged' : pr.state}) of [${prs.map(({ number }) => `#${number}`).join(', ')}]`);
+  } catch (error) {
+    console.log(`❌ Multiple PR test failed: ${error.message}`);
+  }
+
+  // Test 26: Branches checked out in other worktrees
+  console.log('\nTest 26: Branches checked out in other worktrees');
+  try {
+    await withTemporaryRepository(async ({ root, git }) => {
+      ['clean', 'dirty', 'kept'].forEach(branch => {
+        git('branch', branch);
+        git('worktree', 'add', '-q', path.join(root, branch), branch);
+      });
+      fs.writeFileSync(path.join(root, 'dirty', 'notes.txt'), 'work in progress\n');
+
+      const worktreeBranches = await gitOps.getWorktreeBranches();
+      console.log(`   Branches in other worktrees: ${[...worktreeBranches.keys()].join(', ')}`);
+
+      const branchStatus = ['clean', 'dirty', 'kept'].map(branch => ({
+        branch, status: 'merged into main', shouldDelete: branch !== 'kept'
+      }));
+      const branchesToDelete = branchStatus.filter(({ shouldDelete }) => shouldDelete).map(({ branch }) => ({ branch }));
+      await branchMatcher.excludeWorktreeBranches(branchStatus, [branchesToDelete], { removeWorktrees: true }, worktreeBranches);
+      branchStatus.forEach(({ branch, status }) => {
+        console.log(`   ${branch}: ${status.replace(root, '<tmp>')}`);
+      });
+      console.log(`   To delete: ${branchesToDelete.map(({ branch }) => branch).join(', ')}`);
+
+      await gitOps.removeWorktree(branchesToDelete[0].worktree);
+      await gitOps.deleteBranch('clean');
+      console.log(`   After removing: ${[...(await gitOps.getWorktreeBranches()).keys()].join(', ')}`);
+    });
+  } catch (error) {
+    console.log(`❌ Worktree test failed: ${error.message}`);
+  }
+
+  // Test 27: Default branch detection and merge verification
+  console.log('\nTest 27: Default branch detection and merge verification');
+  try {
+    const protection = require('./lib/protected-branches');
+
+    await withTemporaryRepository(async ({ git }) => {
+      ['merge-commit', 'squashed'].forEach(branch => {
+        git('checkout', '-q', '-b', branch, 'trunk');
+        git('commit', '-q', '--allow-empty', '-m', `${branch} work`);
+      });
+      git('checkout', '-q', 'trunk');
+      git('merge', '-q', '--no-ff', '-m', 'Merge merge-commit', 'merge-commit');
+      git('commit', '-q', '--allow-empty', '-m', 'Squashed work');
+
+      const fakeOctokit = {
+        rest: { repos: { get: async () => ({ data: { default_branch: 'trunk' } }) } }
+      };
+
+      const defaultBranch = await branchMatcher.resolveDefaultBranch(fakeOctokit, { owner: 'owner', name: 'repo' });
+      console.log(`   Default branch: ${defaultBranch.name} (compared with ${defaultBranch.ref})`);
+
+      const patterns = await protection.resolveProtectedPatterns({ defaultBranch: defaultBranch.name });
+      console.log(`   Protected: ${patterns.join(', ')}`);
+
+      const options = { defaultBranchRef: defaultBranch.ref };
+      for (const branch of ['merge-commit', 'squashed']) {
+        const verification = await branchMatcher.verifyInHistory(branch, { base: { ref: 'trunk' } }, options);
+        console.log(`   ${branch}: ${verification === 'history' ? 'verified in history' : 'trusted from API'}`);
+      }
+
+      // In a fork, only the parent's remote-tracking branches count, never the fork's own
+      git('remote', 'add', 'origin', 'https://github.com/me/repo.git');
+      git('remote', 'add', 'source', 'https://github.com/owner/repo.git');
+      git('update-ref', 'refs/remotes/origin/trunk', 'trunk');
+      git('update-ref', 'refs/remotes/source/trunk', 'trunk');
+      const forkOctokit = {
+        rest: { repos: { get: async () => ({ data: { fork: true, parent: { owner: { login: 'owner' }, name: 'repo' } } }) } }
+      };
+      const forkInfo = await branchMatcher.resolvePRRepository(forkOctokit, { host: 'github.com', owner: 'me', name: 'repo' });
+      console.log(`   Fork parent ${forkInfo.owner}/${forkInfo.name} found as remote: ${forkInfo.parentRemote}`);
+      const forkOptions = { ...options, defaultBranchName: 'trunk' };
+      for (const repoInfo of [forkInfo, { ...forkInfo, parentRemote: null }]) {
+        const verification = await branchMatcher.verifyInHistory('merge-commit', { base: { ref: 'trunk' } }, forkOptions, repoInfo);
+        console.log(`   merge-commit with parent remote ${repoInfo.parentRemote}: ${verification === 'history' ? 'verified in history' : 'trusted from API'}`);
+      }
+    }, { branch: 'trunk' });
+  } catch (error) {
+    console.log(`❌ Default branch test failed: ${error.message}`);
+  }
+
+  // Test 28: Branch names with shell metacharacters
+  console.log('\nTest 28: Branch names with shell metacharacters');
+  try {
+    const { GitError } = require('./lib/git-runner');
+
+    await withTemporaryRepository(async ({ repository, git }) => {
+      const unusualName = 'fix/$(touch${IFS}pwned)-`id`-"quoted"-it\'s-$HOME';
+      git('branch', unusualName);
+
+      const branches = await gitOps.getLocalBranches();
+      console.log(`   Listed: ${branches.includes(unusualName) ? '✅' : '❌'} ${unusualName}`);
+      console.log(`   Commit matches main: ${await gitOps.getBranchCommit(unusualName) === await gitOps.getBranchCommit('main') ? '✅' : '❌'}`);
+      console.log(`   Commit dates from one for-each-ref call: ${(await gitOps.getLastCommitDates()).size}`);
+      await gitOps.deleteBranch(unusualName);
+      console.log(`   Deleted: ${await gitOps.branchExists(unusualName) ? '❌ still exists' : '✅'}`);
+      console.log(`   Shell did not run: ${fs.existsSync(path.join(repository, 'pwned')) ? '❌' : '✅'}`);
+
+      // A branch named like a tracked directory must not be taken for a path
+      fs.mkdirSync(path.join(repository, 'docs'));
+      fs.writeFileSync(path.join(repository, 'docs', 'README.md'), 'docs\n');
+      git('add', 'docs');
+      git('commit', '-q', '-m', 'Add docs');
+      git('branch', 'docs');
+      console.log(`   Branch named like a directory: "${await gitOps.getCommitSubject('docs')}", ${(await gitOps.getBranchHistory('docs')).length} commits, ` +
+        `${await gitOps.countCommitsNotIn('docs', 'main')} not on main, ${await gitOps.countUnpushedCommits('docs')} unpushed, ` +
+        `dated ${await gitOps.getLastCommitDate('docs') instanceof Date ? '✅' : '❌'}`);
 
-      // Test GitHub API initialization
       try {
-        const github = githubApi.initialize(token);
-        console.log('✅ GitHub API client initialized successfully');
+        await require('./lib/git-runner').runGit(['rev-parse', '--verify', 'no-such-branch']);
       } catch (error) {
-        console.log(`❌ GitHub API initialization failed: ${error.message}`);
+        console.log(`   Typed error: ${error instanceof GitError ? 'GitError' : error.name}, exit code ${error.exitCode}, stderr "${error.stderr.trim()}"`);
       }
-    } else {
-      console.log('⚠️  No GitHub token found');
-      console.log('   Run "node index.js --login" to set up authentication');
+
+      try {
+        await gitOps.deleteBranch('no-such-branch');
+      } catch (error) {
+        console.log(`   Through gitOps: ${error instanceof GitError ? 'GitError' : error.name}, exit code ${error.exitCode}, "${error.message.split('\n')[0]}"`);
+      }
+    });
+  } catch (error) {
+    console.log(`❌ Argument safety test failed: ${error.message}`);
+  }
+
+  // Test 29: Bounded concurrency and cancellation
+  console.log('\nTest 29: Bounded concurrency and cancellation');
+  try {
+    const concurrency = require('./lib/concurrency');
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    let running = 0;
+    let maxRunning = 0;
+    const results = await concurrency.mapWithConcurrency([30, 5, 20, 1, 10, 15], 3, async (ms, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(ms);
+      running--;
+      return `#${index} after ${ms}ms`;
+    });
+    console.log(`   Results in input order: ${results.join(', ')}`);
+    console.log(`   At most ${maxRunning} running at once (limit 3)`);
+
+    const started = [];
+    try {
+      await concurrency.withInterruptSignal(signal =>
+        concurrency.mapWithConcurrency(['a', 'b', 'c', 'd', 'e'], 2, async (item) => {
+          started.push(item);
+          if (item === 'b') {
+            process.emit('SIGINT');
+          }
+          await delay(5);
+        }, { signal })
+      );
+      console.log('❌ Work was not cancelled');
+    } catch (error) {
+      console.log(`   ${error instanceof concurrency.CancelledError ? '✅ Cancelled' : `❌ ${error.message}`} after starting ${started.join(', ')}`);
+    }
+    console.log(`   SIGINT listeners left behind: ${process.listenerCount('SIGINT')}`);
+
+    // Cancelling during the REST lookup must not fall back to individual branch lookups
+    const controller = new AbortController();
+    const cancellingOctokit = {
+      graphql: async () => { throw new Error('GraphQL unavailable'); },
+      rest: {
+        pulls: {
+          list: async () => {
+            controller.abort();
+            return { data: [] };
+          }
+        }
+      }
+    };
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+      await branchMatcher.resolvePullRequests(cancellingOctokit, { owner: 'owner', name: 'repo' }, ['a', 'b'], {
+        cache: false,
+        searchSince: new Date(),
+        signal: controller.signal,
+        log: () => {}
+      });
+      console.log('❌ PR lookup was not cancelled');
+    } catch (error) {
+      const fellBack = warnings.some(message => message.includes('individual branch lookup'));
+      console.log(`   PR lookup: ${error instanceof concurrency.CancelledError ? '✅ Cancelled' : `❌ ${error.message}`}${fellBack ? ', ❌ fell back to individual lookups' : ', no individual lookups'}`);
+    } finally {
+      console.warn = originalWarn;
     }
   } catch (error) {
-    console.log(`❌ Token loading test failed: ${error.message}`);
+    console.log(`❌ Concurrency test failed: ${error.message}`);
+  }
+
+  // Test 30: Grace period for merged and closed PRs
+  console.log('\nTest 30: Grace period for merged and closed PRs');
+  try {
+    const now = new Date('2024-06-10T12:00:00Z');
+    const options = { mergedBefore: '7d', closedBefore: '2024-06-01' };
+    [
+      { name: 'merged 10 days ago', pr: { state: 'closed', merged: true, merged_at: '2024-05-31T12:00:00Z' } },
+      { name: 'merged 2 days ago', pr: { state: 'closed', merged: true, merged_at: '2024-06-08T12:00:00Z' } },
+      { name: 'merged 6.5 days ago', pr: { state: 'closed', merged: true, merged_at: '2024-06-04T00:00:00Z' } },
+      { name: 'closed in May', pr: { state: 'closed', merged: false, closed_at: '2024-05-20T08:00:00Z' } },
+      { name: 'closed in June', pr: { state: 'closed', merged: false, closed_at: '2024-06-05T08:00:00Z' } },
+      { name: 'open', pr: { state: 'open', merged: false } }
+    ].forEach(({ name, pr }) => {
+      const wait = branchMatcher.getGracePeriodWait(pr, options, now);
+      console.log(`   ${name}: ${wait ? `⏳ ${wait}` : 'No grace period to wait for'}`);
+    });
+  } catch (error) {
+    console.log(`❌ Grace period test failed: ${error.message}`);
+  }
+
+  // Test 31: PR filters by author, labels, base branch and draft state
+  console.log('\nTest 31: PR filters by author, labels, base branch and draft state');
+  try {
+    const pr = {
+      state: 'closed',
+      merged: true,
+      user: { login: 'Alice' },
+      labels: [{ name: 'bug' }, { name: 'keep' }],
+      base: { ref: 'main' },
+      draft: false
+    };
+    [
+      { name: 'Matching author', options: { merged: true, author: 'alice' }, pr },
+      { name: 'Other author', options: { merged: true, author: 'bob' }, pr },
+      { name: 'Excluded label', options: { merged: true, excludeLabel: ['KEEP'] }, pr },
+      { name: 'Missing label', options: { merged: true, includeLabel: ['docs', 'chore'] }, pr },
+      { name: 'Other base', options: { merged: true, base: 'develop' }, pr },
+      { name: 'Draft', options: { closed: true, excludeDrafts: true }, pr: { ...pr, merged: false, draft: true } },
+      { name: 'No PR', options: { merged: true, author: 'alice' }, pr: null }
+    ].forEach(({ name, options, pr: candidate }) => {
+      const mismatch = branchMatcher.getFilterMismatch(candidate, options);
+      const fields = candidate ? ` [${branchMatcher.formatFilterFields(candidate, options)}]` : '';
+      const verdict = branchMatcher.shouldDeleteBranch(candidate, options) ? '🗑️  delete' : `⏭️  skipped: ${mismatch}`;
+      console.log(`   ${name}${fields}: ${verdict}`);
+    });
+  } catch (error) {
+    console.log(`❌ PR filter test failed: ${error.message}`);
+  }
+
+  // Test 32: Gone branches with --remote
+  console.log('\nTest 32: Gone branches with --remote');
+  try {
+    await withTemporaryRepository(async ({ git }) => {
+      git('remote', 'add', 'origin', 'https://github.com/owner/repo.git');
+      git('update-ref', 'refs/remotes/origin/main', 'HEAD');
+      ['no-pr', 'with-pr'].forEach(branch => {
+        git('branch', branch);
+        git('config', `branch.${branch}.remote`, 'origin');
+        git('config', `branch.${branch}.merge`, `refs/heads/${branch}`);
+      });
+
+      const mergedPR = { number: 7, state: 'closed', merged: true, head: { ref: 'with-pr', sha: 'abc123', repo: { full_name: 'owner/repo' } } };
+      const branchStatus = [
+        { branch: 'no-pr', pr: null, status: 'No PR found' },
+        { branch: 'with-pr', pr: mergedPR, status: 'merged PR #7', diverged: false }
+      ];
+      const branchesToDelete = await branchMatcher.addGoneBranches(branchStatus, [], { gone: true, remote: true }, 'main');
+
+      const fakeOctokit = {
+        paginate: async () => [],
+        rest: {
+          repos: { get: async () => ({ data: { default_branch: 'main' } }) },
+          git: { getRef: async () => ({ data: { object: { sha: 'abc123' } } }) }
+        }
+      };
+      await branchMatcher.planRemoteDeletions(fakeOctokit, { owner: 'owner', name: 'repo' }, branchesToDelete);
+      branchesToDelete.forEach(({ branch, remote }) => {
+        console.log(`   ${branch}: ${remote.shouldDelete ? `🗑️  Delete ${remote.branch} on GitHub` : `✅ Keep on GitHub (${remote.reason})`}`);
+      });
+    });
+  } catch (error) {
+    console.log(`❌ Gone branches with --remote test failed: ${error.message}`);
+  }
+
+  // Test 33: Remote-tracking refs removed with deleted branches
+  console.log('\nTest 33: Remote-tracking refs removed with deleted branches');
+  try {
+    await withTemporaryRepository(async ({ git }) => {
+      git('remote', 'add', 'origin', 'https://github.com/owner/repo.git');
+      ['main', 'feature', 'shared', 'experiment'].forEach(ref => git('update-ref', `refs/remotes/origin/${ref}`, 'HEAD'));
+      git('symbolic-ref', 'refs/remotes/origin/HEAD', 'refs/remotes/origin/main');
+      [
+        ['from-main', 'main'],
+        ['feature', 'feature'],
+        ['shared-a', 'shared'],
+        ['shared-b', 'shared'],
+        ['experiment', 'experiment']
+      ].forEach(([branch, upstream]) => {
+        git('branch', branch);
+        git('config', `branch.${branch}.remote`, 'origin');
+        git('config', `branch.${branch}.merge`, `refs/heads/${upstream}`);
+      });
+
+      const prFor = ref => ({ number: 1, merged: true, head: { ref } });
+      const upstreams = await gitOps.getUpstreamBranches();
+      for (const entry of [
+        { branch: 'from-main', pr: prFor('main'), reason: 'merged' },
+        { branch: 'feature', pr: prFor('feature'), reason: 'merged' },
+        { branch: 'shared-a', pr: prFor('shared'), reason: 'merged' },
+        { branch: 'shared-b', pr: prFor('shared'), reason: 'merged' },
+        { branch: 'experiment', pr: null, reason: 'stale' }
+      ]) {
+        const trackingRef = await branchMatcher.getRemovableTrackingRef(entry, upstreams, 'main');
+        console.log(`   ${entry.branch}: ${trackingRef ? `🗑️  remove ${trackingRef}` : '✅ keep remote-tracking ref'}`);
+        upstreams.delete(entry.branch);
+      }
+    });
+  } catch (error) {
+    console.log(`❌ Remote-tracking ref test failed: ${error.message}`);
+  }
+
+  // Test 34: Upstream matches that must not delete local work
+  console.log('\nTest 34: Upstream matches that must not delete local work');
+  try {
+    await withTemporaryRepository(async ({ git }) => {
+      git('remote', 'add', 'origin', 'https://github.com/owner/repo.git');
+      git('update-ref', 'refs/remotes/origin/main', 'main');
+      // Started with "git checkout -b feature origin/main", so it tracks main
+      git('checkout', '-q', '-b', 'feature', 'main');
+      git('commit', '-q', '--allow-empty', '-m', 'Unpushed work');
+      git('config', 'branch.feature.remote', 'origin');
+      git('config', 'branch.feature.merge', 'refs/heads/main');
+      // Tracks the head of a closed PR, with a commit on top that is not in the PR
+      git('checkout', '-q', '-b', 'local-fix', 'main');
+      git('commit', '-q', '--allow-empty', '-m', 'PR work');
+      const prHead = git('rev-parse', 'HEAD');
+      git('commit', '-q', '--allow-empty', '-m', 'More work');
+      git('config', 'branch.local-fix.remote', 'origin');
+      git('config', 'branch.local-fix.merge', 'refs/heads/jan/fix');
+      git('checkout', '-q', 'main');
+
+      const node = (number, title, ref, oid) => ({
+        number,
+        title,
+        state: 'CLOSED',
+        merged: false,
+        headRefName: ref,
+        headRefOid: oid,
+        baseRefName: 'main',
+        mergeCommit: null,
+        headRepository: { nameWithOwner: 'owner/repo' },
+        headRepositoryOwner: { login: 'owner' }
+      });
+      const fakeOctokit = {
+        graphql: async (query, variables) => {
+          const repository = {};
+          Object.keys(variables).filter(key => key.startsWith('ref')).forEach(key => {
+            const nodes = {
+              main: [node(5, 'Release', 'main', 'abc123')],
+              'jan/fix': [node(6, 'Fix', 'jan/fix', prHead)]
+            }[variables[key]] || [];
+            repository[key.replace('ref', 'pr')] = { nodes, pageInfo: { hasNextPage: false } };
+          });
+          return { repository };
+        },
+        paginate: async () => [{ sha: prHead }],
+        rest: {
+          pulls: { listCommits: () => {} },
+          repos: { listPullRequestsAssociatedWithCommit: async () => ({ data: [] }) }
+        }
+      };
+
+      const options = { closed: true, cache: false, defaultBranchName: 'main', log: () => {} };
+      for (const extra of [{}, { includeDiverged: true }]) {
+        const { branchStatus } = await branchMatcher.findBranchesToDelete(
+          fakeOctokit, { owner: 'owner', name: 'repo' }, ['feature', 'local-fix'], { ...options, ...extra }, 'main'
+        );
+        console.log(`   ${extra.includeDiverged ? 'With' : 'Without'} --include-diverged:`);
+        branchStatus.forEach(({ branch, status, shouldDelete }) => {
+          console.log(`     ${branch}: ${status} ${shouldDelete ? '🗑️  delete' : '✅ keep'}`);
+        });
+      }
+    });
+  } catch (error) {
+    console.log(`❌ Upstream matching safety test failed: ${error.message}`);
   }
 
   console.log('\n🎉 Test suite completed!');